@@ -1,176 +1,210 @@
 // app/api/ai/execute/route.js
-import { getNativeMongoClient } from "@/lib/db";
-import { logStep, validateAction } from "@/lib/debug";
+import { getAdapter, acquireConnection } from "@/lib/adapters";
+import { logStep, validateReadOnly } from "@/lib/debug";
+import { isReadOnly, connectionKey, resolveConnection, redactURI } from "@/lib/connections";
+import { saveUndoEntry, updateUndoEntry, UNDO_MAX_DOCS } from "@/lib/undostore";
+import { recordAuditEvent, summarizeCounts } from "@/lib/auditlog";
 
 export async function POST(req) {
   const requestId = Math.random().toString(36).slice(2, 8);
-  let client = null;
+  let adapter = null;
+  let lease = null; // Pooled client, returned to the pool when done
+  const startedAt = Date.now();
+  let auditBase = null; // Set once the request is understood
 
   try {
     logStep(`[${requestId}] EXECUTION REQUEST RECEIVED`);
 
-    const { uri, action } = await req.json();
+    const { connectionId, action: wireAction, explain = false, dryRun = false, audit = {} } = await req.json();
 
     // Validate inputs
-    if (!uri) {
-      logStep(`[${requestId}] MISSING URI`, {});
-      return new Response(JSON.stringify({ ok: false, error: "MongoDB URI required" }), { status: 400 });
+    if (!connectionId) {
+      logStep(`[${requestId}] MISSING CONNECTION`, {});
+      return new Response(JSON.stringify({ ok: false, error: "connectionId required" }), { status: 400 });
     }
 
-    if (!action) {
+    if (!wireAction) {
       logStep(`[${requestId}] MISSING ACTION`, {});
       return new Response(JSON.stringify({ ok: false, error: "Action object required" }), { status: 400 });
     }
 
-    logStep(`[${requestId}] INPUTS VALIDATED`, { actionType: action.action, collection: action.collection });
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
+      return new Response(JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }), { status: 404 });
+    }
+    const { uri } = connection;
+
+    adapter = getAdapter(uri);
+
+    // Extended JSON ({"$oid": ...}, {"$date": ...}) becomes real driver types
+    const action = adapter.deserialize(wireAction);
+    const target = action.collection || action.table;
+
+    // audit.generatedBy links back to the run-query event that produced the action
+    auditBase = {
+      kind: dryRun ? "dry-run" : explain ? "explain" : audit.preview ? "preview" : "execute",
+      connection: connectionKey(uri),
+      dbType: adapter.dbType,
+      prompt: audit.prompt || null,
+      generatedBy: audit.generatedBy || null,
+      action: wireAction,
+    };
+
+    logStep(`[${requestId}] INPUTS VALIDATED`, { dbType: adapter.dbType, actionType: action.action, collection: target });
 
-    // Validate action structure
-    const validation = validateAction(action);
+    // Validate action structure (dialect-specific rules live in the adapter)
+    const validation = adapter.validate(action);
     if (!validation.valid) {
       logStep(`[${requestId}] ACTION VALIDATION FAILED`, validation.errors);
+      await recordAuditEvent(requestId, { ...auditBase, status: "rejected", durationMs: Date.now() - startedAt, error: validation.errors.join("; ") });
       return new Response(JSON.stringify({ ok: false, error: validation.errors.join("; ") }), { status: 400 });
     }
 
-    // ========================================================================
-    // ✅ NEW: Validate sort values (must be 1 or -1)
-    // ========================================================================
-    if (action.options && action.options.sort) {
-      const sortObj = action.options.sort;
-      const invalidSorts = Object.entries(sortObj).filter(([field, value]) => {
-        return value !== 1 && value !== -1;
-      });
-      
-      if (invalidSorts.length > 0) {
-        const errorMsg = `Invalid sort direction(s): ${invalidSorts.map(([f, v]) => `${f}=${v}`).join(', ')}. Must be 1 (ascending) or -1 (descending).`;
-        logStep(`[${requestId}] INVALID SORT VALUES`, { invalidSorts, sortObj });
-        
-        // Auto-fix: Convert invalid values to 1
-        invalidSorts.forEach(([field]) => {
-          console.warn(`⚠️ Auto-fixing sort value for "${field}": was ${sortObj[field]}, now 1`);
-          action.options.sort[field] = 1;
-        });
-        
-        logStep(`[${requestId}] SORT VALUES AUTO-FIXED`, { fixedSort: action.options.sort });
+    // Read-only is decided server-side when the connection was opened
+    if (isReadOnly(uri)) {
+      const readOnlyCheck = validateReadOnly(action);
+      if (!readOnlyCheck.valid) {
+        logStep(`[${requestId}] READ-ONLY VIOLATION`, readOnlyCheck.errors);
+        await recordAuditEvent(requestId, { ...auditBase, status: "rejected", durationMs: Date.now() - startedAt, error: readOnlyCheck.errors.join("; ") });
+        return new Response(JSON.stringify({ ok: false, error: readOnlyCheck.errors.join("; "), readOnly: true }), { status: 403 });
       }
     }
 
-    logStep(`[${requestId}] CONNECTING TO MONGODB`);
-
-    // Connect to MongoDB
-    client = await getNativeMongoClient(uri);
-    logStep(`[${requestId}] CONNECTED TO MONGODB`);
+    if (dryRun && !["update", "delete"].includes(action.action)) {
+      return new Response(JSON.stringify({ ok: false, error: "Dry run is only available for update and delete" }), { status: 400 });
+    }
 
-    const db = client.db();
-    const col = db.collection(action.collection);
+    lease = await acquireConnection(uri);
+    const { client } = lease;
+    logStep(`[${requestId}] CONNECTED TO ${adapter.label.toUpperCase()}`);
 
-    logStep(`[${requestId}] EXECUTING ${action.action.toUpperCase()}`, {
-      collection: action.collection,
+    logStep(`[${requestId}] ${dryRun ? "DRY-RUNNING" : explain ? "EXPLAINING" : "EXECUTING"} ${action.action.toUpperCase()}`, {
+      collection: target,
       query: action.query,
       options: action.options,
+      sql: action.sql,
+      paramCount: action.params?.length,
     });
 
     let result;
-    let resultMetadata = {
-      action: action.action,
-      collection: action.collection,
-      projectionUsed: false,
-      fieldsReturned: []
-    };
+    let resultMetadata;
+
+    if (dryRun) {
+      // Counts and samples what would change; nothing is written
+      result = await adapter.dryRun(client, action);
+      resultMetadata = { action: action.action, collection: target, dryRun: true };
+      logStep(`[${requestId}] DRY RUN COMPLETE`, { matchedCount: result.matchedCount, samples: result.samples.length });
+    } else if (explain) {
+      result = await adapter.explain(client, action);
+      resultMetadata = { action: action.action, collection: target, explain: true };
+      logStep(`[${requestId}] EXPLAIN COMPLETE`, resultMetadata);
+    } else {
+      // Pre-images of everything an update/delete will touch, stored before
+      // the write so they survive a crash half-way through it
+      const isDestructive = ["update", "delete"].includes(action.action);
+      const capture = isDestructive && adapter.undo
+        ? await adapter.undo.capture(client, action, UNDO_MAX_DOCS)
+        : null;
+      const undo = capture?.preImages?.length > 0
+        ? await savePendingUndo(requestId, {
+          connection: connectionKey(uri),
+          dbType: adapter.dbType,
+          collection: target,
+          action: wireAction,
+          preImages: capture.preImages,
+        })
+        : null;
 
-    if (action.action === "find") {
-      const limit = (action.options && action.options.limit) || 100;
-      const sort = (action.options && action.options.sort) || {};
-      const skip = (action.options && action.options.skip) || 0;
-      const projection = (action.options && action.options.projection) || null;
-      
-      // Build find query
-      let cursor = col.find(action.query || {});
-      
-      // Apply skip if specified
-      if (skip > 0) {
-        cursor = cursor.skip(skip);
-        resultMetadata.skipped = skip;
-      }
-      
-      // Apply projection if specified
-      if (projection && Object.keys(projection).length > 0) {
-        cursor = cursor.project(projection);
-        resultMetadata.projectionUsed = true;
-        resultMetadata.fieldsReturned = Object.keys(projection).filter(k => projection[k] === 1);
+      try {
+        ({ result, metadata: resultMetadata } = await adapter.execute(client, capture?.action || action));
+      } catch (writeErr) {
+        // Multi-document writes aren't atomic, so the pre-images stay around
+        if (undo?.available) await updateUndoEntry(undo.id, { status: "failed" }).catch(() => {});
+        throw writeErr;
       }
-      
-      result = await cursor.sort(sort).limit(limit).toArray();
-      
-      logStep(`[${requestId}] FIND COMPLETE`, { 
-        documentCount: result.length,
-        skipped: skip,
-        projectionUsed: resultMetadata.projectionUsed,
-        fieldsReturned: resultMetadata.fieldsReturned
-      });
-    } 
-    else if (action.action === "aggregate") {
-      const pipeline = action.pipeline || [];
-      result = await col.aggregate(pipeline).toArray();
-      logStep(`[${requestId}] AGGREGATE COMPLETE`, { documentCount: result.length });
-    } 
-    else if (action.action === "insert") {
-      const payload = Array.isArray(action.insert) ? action.insert : [action.insert];
-      const res = await col.insertMany(payload);
-      result = { insertedIds: res.insertedIds, insertedCount: res.insertedCount };
-      logStep(`[${requestId}] INSERT COMPLETE`, result);
-    } 
-    else if (action.action === "update") {
-      const query = action.query || {};
-      const updateDoc = action.update || {};
-      const res = await col.updateMany(query, updateDoc);
-      result = { matchedCount: res.matchedCount, modifiedCount: res.modifiedCount, upsertedCount: res.upsertedCount };
-      logStep(`[${requestId}] UPDATE COMPLETE`, result);
-    } 
-    else if (action.action === "delete") {
-      const query = action.query || {};
-      
-      // Safety check - prevent full collection deletes
-      if (!query || Object.keys(query).length === 0) {
-        throw new Error("Delete operation requires a query condition. Cannot delete entire collection.");
+
+      if (undo?.available) {
+        resultMetadata.undo = await finalizeUndo(requestId, undo, () => (action.action === "update"
+          ? adapter.undo.readImages(client, target, capture.ids)
+          : []));
+      } else if (undo) {
+        resultMetadata.undo = undo;
+      } else if (isDestructive) {
+        resultMetadata.undo = {
+          available: false,
+          reason: capture?.skipped ||
+            (capture ? "No documents matched; nothing to undo" : `Undo is not supported for ${adapter.label}`),
+        };
       }
-      
-      const res = await col.deleteMany(query);
-      result = { deletedCount: res.deletedCount };
-      logStep(`[${requestId}] DELETE COMPLETE`, result);
-    } 
-    else {
-      throw new Error(`Unsupported action: ${action.action}`);
+
+      logStep(`[${requestId}] ${action.action.toUpperCase()} COMPLETE`,
+        Array.isArray(result) ? { documentCount: result.length, ...resultMetadata } : result);
     }
 
-    // Close connection
-    await client.close();
-    logStep(`[${requestId}] CONNECTION CLOSED`);
+    lease.release();
+    lease = null;
+
+    const auditId = await recordAuditEvent(requestId, {
+      ...auditBase,
+      status: "ok",
+      counts: dryRun ? { matchedCount: result.matchedCount } : explain ? null : summarizeCounts(result),
+      durationMs: Date.now() - startedAt,
+    });
 
     return new Response(
-      JSON.stringify({ 
-        ok: true, 
-        result, 
-        metadata: resultMetadata,
-        requestId 
-      }), 
+      JSON.stringify({
+        ok: true,
+        result: adapter.serialize(result),
+        metadata: { ...resultMetadata, dbType: adapter.dbType, auditId },
+        requestId
+      }),
       { status: 200 }
     );
-  } 
+  }
   catch (err) {
+    // Driver errors can quote the connection string
+    err.message = redactURI(err.message);
     logStep(`[${requestId}] EXECUTION FAILED`, { error: err.message, stack: err.stack }, err);
-    
-    // Attempt to close connection
-    if (client) {
-      try {
-        await client.close();
-      } catch (closeErr) {
-        console.error(`[${requestId}] Failed to close client:`, closeErr);
-      }
+
+    if (auditBase) {
+      await recordAuditEvent(requestId, { ...auditBase, status: "error", durationMs: Date.now() - startedAt, error: err.message });
     }
 
+    // Broken connections are discarded instead of going back into the pool
+    if (lease) lease.release(err);
+
     return new Response(
       JSON.stringify({ ok: false, error: err.message || "Execution failed", requestId }),
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Stores the pre-images as a pending undo entry; a failure here is reported
+ * instead of blocking the write
+ */
+async function savePendingUndo(requestId, entry) {
+  try {
+    const stored = await saveUndoEntry({ ...entry, status: "pending", postImages: [] });
+    logStep(`[${requestId}] UNDO ENTRY SAVED`, { id: stored.id, documents: entry.preImages.length });
+    return { available: true, id: stored.id, documents: entry.preImages.length };
+  } catch (error) {
+    logStep(`[${requestId}] UNDO ENTRY FAILED`, { error: error.message }, error);
+    return { available: false, reason: `Could not save undo entry: ${error.message}` };
+  }
+}
+
+/**
+ * Adds the post-images and marks the entry ready. The write already
+ * happened, so a failure leaves the entry pending (undo then needs force)
+ * instead of failing the request.
+ */
+async function finalizeUndo(requestId, undo, readPostImages) {
+  try {
+    await updateUndoEntry(undo.id, { status: "ready", postImages: await readPostImages() });
+  } catch (error) {
+    logStep(`[${requestId}] UNDO ENTRY NOT FINALIZED`, { id: undo.id, error: error.message }, error);
+  }
+  return undo;
+}
@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { getProvider, resolveLLMConfig, describeLLM } from "@/lib/providers";
+
+/**
+ * Active LLM provider and model (what the chat header shows)
+ * GET /api/ai/provider
+ */
+export async function GET() {
+  try {
+    const llm = resolveLLMConfig();
+    const available = await getProvider(llm.provider).isAvailable(llm);
+    return NextResponse.json({ ok: true, llm: describeLLM(llm), available });
+  } catch (error) {
+    return NextResponse.json({ ok: false, error: error.message }, { status: 500 });
+  }
+}
@@ -1,77 +1,34 @@
 import { NextResponse } from "next/server";
 import { parseUserInstruction } from "@/lib/ai";
-import { logStep, validateAction } from "@/lib/debug";
-import { MongoClient } from "mongodb";
+import { logStep } from "@/lib/debug";
+import { resolveConnection, redactURI } from "@/lib/connections";
+import { getAdapter, getAdapterForType } from "@/lib/adapters";
+import { lookupDBMetadata } from "@/lib/dbintrospect";
+import { resolveLLMConfig } from "@/lib/providers";
 
-// Helper function to get collection schema
-async function getCollectionSchema(uri, collectionName) {
-  let client;
-  try {
-    client = await MongoClient.connect(uri);
-    const db = client.db();
-    
-    // Get sample documents to infer schema
-    const samples = await db.collection(collectionName)
-      .find()
-      .limit(10)
-      .toArray();
-    
-    if (samples.length === 0) {
-      return { fields: [], sampleDocument: null };
-    }
-    
-    // Extract all unique fields
-    const fieldsSet = new Set();
-    samples.forEach(doc => {
-      Object.keys(doc).forEach(key => fieldsSet.add(key));
-    });
-    
-    // Build schema with types
-    const schema = {};
-    const fields = Array.from(fieldsSet);
-    
-    fields.forEach(field => {
-      const sampleValue = samples[0][field];
-      schema[field] = typeof sampleValue;
-    });
-    
-    return {
-      fields,
-      schema,
-      sampleDocument: samples[0]
-    };
-  } catch (error) {
-    console.error('Error getting schema:', error);
-    return { fields: [], schema: {}, sampleDocument: null };
-  } finally {
-    if (client) await client.close();
-  }
-}
-
-// Get schemas for all collections
+/**
+ * Fields, types and sample values per collection/table from the cached scan,
+ * limited to the requested names when there are any
+ */
 async function getAllSchemas(uri, collectionNames) {
+  const { metadata } = await lookupDBMetadata(uri);
   const schemas = {};
-  
-  // If no collections specified, fetch all collections
-  if (collectionNames.length === 0) {
-    let client;
-    try {
-      client = await MongoClient.connect(uri);
-      const db = client.db();
-      const collections = await db.listCollections().toArray();
-      collectionNames = collections.map(col => col.name);
-    } catch (error) {
-      console.error('Error listing collections:', error);
-      return {};
-    } finally {
-      if (client) await client.close();
-    }
-  }
-  
-  for (const collectionName of collectionNames) {
-    schemas[collectionName] = await getCollectionSchema(uri, collectionName);
-  }
-  
+
+  metadata.collections
+    .filter(col => collectionNames.length === 0 || collectionNames.includes(col.name))
+    .forEach(col => {
+      schemas[col.name] = {
+        fields: col.fields,
+        fieldTypes: col.fieldTypes,
+        sampleValues: col.sampleValues,
+        occurrence: col.occurrence,
+        arrayTypes: col.arrayTypes,
+        indexes: col.indexes,
+        primaryKey: col.primaryKey,
+        foreignKeys: col.foreignKeys,
+      };
+    });
+
   return schemas;
 }
 
@@ -83,18 +40,21 @@ export async function POST(req) {
 
     // Parse request body
     const body = await req.json();
-    const { dbType = "mongodb", userText, collections = [], previewLimit = 50, uri } = body || {};
+    const { userText, collections = [], previewLimit = 50, connectionId } = body || {};
+
+    // The saved connection decides the dialect; the body value is only a fallback
+    const connection = await resolveConnection(connectionId);
+    if (connectionId && !connection) {
+      return NextResponse.json({ ok: false, error: "Unknown connection; reconnect from the connect page" }, { status: 404 });
+    }
+    const dbUri = connection?.uri;
+    const adapter = dbUri ? getAdapter(dbUri) : getAdapterForType(body.dbType || "mongodb");
+    const dbType = adapter.dbType;
 
     logStep(`[${requestId}] BODY PARSED`, { dbType, userText, collectionsCount: collections.length, previewLimit });
 
-    // Validate API key
-    if (!process.env.GEMINI_API_KEY) {
-      logStep(`[${requestId}] MISSING API KEY`, {}, new Error("GEMINI_API_KEY not set"));
-      return NextResponse.json(
-        { ok: false, error: "Gemini API key is missing. Check .env.local" },
-        { status: 500 }
-      );
-    }
+    // LLM provider/model from the environment; a misconfigured provider fails here
+    const llm = resolveLLMConfig();
 
     // Validate input
     if (!userText || userText.trim().length === 0) {
@@ -102,9 +62,6 @@ export async function POST(req) {
       return NextResponse.json({ ok: false, error: "userText is required and cannot be empty" }, { status: 400 });
     }
 
-    // Get database URI from request or localStorage (you might need to adjust this)
-    const dbUri = uri || body.dbURI;
-    
     // Fetch schemas for all collections (or auto-detect if none provided)
     let collectionSchemas = {};
     if (dbUri) {
@@ -112,7 +69,12 @@ export async function POST(req) {
         collectionsProvided: collections.length,
         willAutoDetect: collections.length === 0 
       });
-      collectionSchemas = await getAllSchemas(dbUri, collections);
+      try {
+        collectionSchemas = await getAllSchemas(dbUri, collections);
+      } catch (schemaError) {
+        // The AI still works without schema context, just less accurately
+        logStep(`[${requestId}] SCHEMA FETCH FAILED`, { error: redactURI(schemaError.message) });
+      }
       logStep(`[${requestId}] SCHEMAS FETCHED`, { 
         collections: Object.keys(collectionSchemas),
         fields: Object.entries(collectionSchemas).map(([name, schema]) => ({
@@ -130,13 +92,14 @@ export async function POST(req) {
       userText, 
       collections, 
       previewLimit,
-      collectionSchemas // Pass schemas to AI
+      collectionSchemas, // Pass schemas to AI
+      llm
     });
 
     logStep(`[${requestId}] AI RESPONSE RECEIVED`, action);
 
-    // Validate parsed action
-    const validation = validateAction(action);
+    // Validate parsed action (dialect-specific rules live in the adapter)
+    const validation = adapter.validate(action);
     if (!validation.valid) {
       logStep(`[${requestId}] ACTION VALIDATION FAILED`, validation.errors);
       return NextResponse.json(
@@ -3,35 +3,62 @@
 // ============================================================================
 
 import { NextResponse } from "next/server";
-import { parseUserInstruction } from "@/lib/ai";
-import { logStep, validateAction } from "@/lib/debug";
-import { getCachedDBMetadata } from "@/lib/dbintrospect";
+import { parseWithRepair, normalizeHistory } from "@/lib/ai";
+import { logStep, findUnknownFields, findUnknownCollections, validateReadOnly, collectionScanWarning } from "@/lib/debug";
+import { isReadOnly, connectionKey, resolveConnection, redactURI } from "@/lib/connections";
+import { recordAuditEvent, schemaVersion } from "@/lib/auditlog";
+import { lookupDBMetadata } from "@/lib/dbintrospect";
+import { getAdapter, getAdapterForType, withConnection } from "@/lib/adapters";
+import { resolveTimeRange, normalizeTimeZone } from "@/lib/timerange";
+import { getProvider, resolveLLMConfig, describeLLM } from "@/lib/providers";
+import { selectRelevantSchemas } from "@/lib/schemaretrieval";
 
 // ============================================================================
 // Main POST Handler
 // ============================================================================
 export async function POST(req) {
   const requestId = Math.random().toString(36).slice(2, 8);
-  
+  const startedAt = Date.now();
+  let llm = null;
+  let auditBase = { kind: "generate" }; // Filled in as the request is understood
+
   try {
     logStep(`[${requestId}] 📥 REQUEST RECEIVED`, { timestamp: new Date().toISOString() });
 
     // Parse request body
     const body = await req.json();
-    const { dbType = "mongodb", userText, collections = [], previewLimit = 50, uri } = body || {};
+    const { userText, collections = [], previewLimit = 50, connectionId } = body || {};
+
+    // The saved connection decides the dialect; the body value is only a fallback
+    const connection = await resolveConnection(connectionId);
+    if (connectionId && !connection) {
+      return NextResponse.json({ ok: false, error: "Unknown connection; reconnect from the connect page" }, { status: 404 });
+    }
+    const adapter = connection
+      ? getAdapter(connection.uri)
+      : getAdapterForType(body.dbType || "mongodb");
+    const dbType = adapter.dbType;
+
+    // LLM provider/model from the environment, optionally overridden per request
+    llm = resolveLLMConfig(body.llm);
+
+    // Earlier turns of the chat, used to resolve follow-up questions
+    const history = normalizeHistory(body.history);
+
+    // "last week", "पिछले महीने"... resolved against the server clock in the user's timezone
+    const timeRange = resolveTimeRange(userText, { timeZone: normalizeTimeZone(body.timeZone) });
 
     logStep(`[${requestId}] 📋 REQUEST DETAILS`, { 
       dbType, 
       userText, 
       collectionsCount: collections.length, 
       previewLimit,
-      hasUri: !!uri 
+      connection: connection?.name || null,
+      historyTurns: history.length,
+      timeRange,
+      llm: describeLLM(llm)
     });
 
-    // ========================================================================
-    // ✅ NO API KEY NEEDED - Using Ollama locally!
-    // ========================================================================
-
     // Validate input
     if (!userText || userText.trim().length === 0) {
       logStep(`[${requestId}] ❌ INVALID INPUT`, { userText });
@@ -41,14 +68,17 @@ export async function POST(req) {
       }, { status: 400 });
     }
 
-    // Get database URI from request
-    const dbUri = uri || body.dbURI;
+    // Decrypted server-side only; never logged or returned
+    const dbUri = connection?.uri;
+    const readOnly = isReadOnly(dbUri);
+    auditBase = { ...auditBase, connection: dbUri ? connectionKey(dbUri) : null, dbType, prompt: userText, model: llm.model, provider: llm.label };
     
     // ========================================================================
     // ✅ NEW: Use Introspection Engine (Cached, Optimized)
     // ========================================================================
     let collectionSchemas = {};
     let dbMetadata = null;
+    let cache = null;
     
     if (dbUri) {
       logStep(`[${requestId}] 🔍 FETCHING DATABASE METADATA (Introspection Engine)`, { 
@@ -58,7 +88,7 @@ export async function POST(req) {
       
       try {
         // Get cached metadata (or scan if needed)
-        dbMetadata = await getCachedDBMetadata(dbUri, false);
+        ({ metadata: dbMetadata, cache } = await lookupDBMetadata(dbUri, false));
         
         // Build collection schemas map from metadata
         dbMetadata.collections.forEach(col => {
@@ -66,8 +96,16 @@ export async function POST(req) {
             fields: col.fields,
             fieldTypes: col.fieldTypes,
             sampleValues: col.sampleValues,
+            occurrence: col.occurrence,
+            arrayTypes: col.arrayTypes,
+            fieldStats: col.fieldStats,
             documentCount: col.documentCount,
-            indexes: col.indexes
+            dataSize: col.dataSize,
+            storageSize: col.storageSize,
+            indexes: col.indexes,
+            primaryKey: col.primaryKey,
+            foreignKeys: col.foreignKeys,
+            references: col.references
           };
         });
         
@@ -83,7 +121,7 @@ export async function POST(req) {
           totalCollections: Object.keys(collectionSchemas).length,
           totalDocuments: dbMetadata.totalDocuments,
           scannedAt: dbMetadata.scannedAt,
-          fromCache: true,
+          cache,
           details: schemaDetails
         });
       } catch (schemaError) {
@@ -94,7 +132,7 @@ export async function POST(req) {
         // Continue without schemas - AI will still work but with less context
       }
     } else {
-      logStep(`[${requestId}] ⚠️ NO DATABASE URI`, { 
+      logStep(`[${requestId}] ⚠️ NO DATABASE CONNECTION`, { 
         note: "AI will work without schema context - may be less accurate" 
       });
     }
@@ -104,135 +142,243 @@ export async function POST(req) {
       ? Object.keys(collectionSchemas) 
       : collections;
 
-    logStep(`[${requestId}] 🤖 CALLING OLLAMA AI`, { 
+    // Only the collections most relevant to the question are described in
+    // detail; the rest are listed by name
+    let promptSchemas = collectionSchemas;
+    let schemaRetrieval = null;
+    if (Object.keys(collectionSchemas).length > 0) {
+      ({ schemas: promptSchemas, retrieval: schemaRetrieval } = await selectRelevantSchemas(userText, collectionSchemas, { history, llm }));
+      logStep(`[${requestId}] 🎯 SCHEMA RETRIEVAL`, {
+        strategy: schemaRetrieval.strategy,
+        selected: schemaRetrieval.selected,
+        pruned: schemaRetrieval.pruned,
+        considered: schemaRetrieval.considered.slice(0, 10)
+      });
+    }
+
+    logStep(`[${requestId}] 🤖 CALLING ${llm.label.toUpperCase()}`, { 
       userText, 
       hasSchemas: Object.keys(collectionSchemas).length > 0,
       collections: collectionsForAI,
       schemasAvailable: Object.keys(collectionSchemas),
-      model: "qwen2.5-coder:7b"
+      model: llm.model
     });
 
-    // Call Ollama AI with rich schema context from introspection engine
-    const action = await parseUserInstruction({ 
+    // ========================================================================
+    // Self-correcting generation: every rejection goes back to the model
+    // ========================================================================
+    const maxRepairs = Number.isInteger(body.maxRepairs)
+      ? Math.min(Math.max(body.maxRepairs, 0), 5)
+      : undefined;
+
+    // Server-side checks borrow a pooled client per attempt, so none is held
+    // while the model is generating; if the database is unreachable we skip them
+    let serverChecks = false;
+    if (dbUri) {
+      try {
+        await withConnection(dbUri, () => {});
+        serverChecks = true;
+      } catch (connectError) {
+        logStep(`[${requestId}] ⚠️ SERVER CHECK DISABLED`, { error: connectError.message });
+      }
+    }
+
+    // Query plans by candidate, to warn about full scans of the final action
+    const plans = new WeakMap();
+
+    const checkAction = async (candidate) => {
+      const validation = adapter.validate(candidate);
+      if (!validation.valid) {
+        return { stage: "validation", error: validation.errors.join("; ") };
+      }
+
+      if (readOnly) {
+        const readOnlyCheck = validateReadOnly(candidate);
+        if (!readOnlyCheck.valid) {
+          return { stage: "validation", error: readOnlyCheck.errors.join("; ") };
+        }
+      }
+
+      const schema = collectionSchemas[candidate.collection];
+      if (dbType === "mongodb" && schema) {
+        const unknown = findUnknownFields(candidate, schema.fields, schema.fieldTypes);
+        if (unknown.queryFields.length > 0 || unknown.projectionFields.length > 0) {
+          const errorMsg = [];
+          if (unknown.queryFields.length > 0) {
+            errorMsg.push(`Query uses non-existent fields: ${unknown.queryFields.join(', ')}`);
+          }
+          if (unknown.projectionFields.length > 0) {
+            errorMsg.push(`Projection uses non-existent fields: ${unknown.projectionFields.join(', ')}`);
+          }
+          return { stage: "fields", error: errorMsg.join("; "), availableFields: schema.fields };
+        }
+
+        const unknownCollections = findUnknownCollections(candidate, Object.keys(collectionSchemas));
+        if (unknownCollections.length > 0) {
+          return {
+            stage: "collections",
+            error: `Pipeline joins non-existent collections: ${unknownCollections.join(', ')}. Available collections: ${Object.keys(collectionSchemas).join(', ')}`,
+          };
+        }
+      }
+
+      // Planning the query surfaces server errors without touching data
+      if (serverChecks) {
+        try {
+          plans.set(candidate, await withConnection(dbUri, (client) => adapter.explain(client, adapter.deserialize(candidate))));
+        } catch (serverError) {
+          return { stage: "server", error: serverError.message };
+        }
+      }
+
+      return null;
+    };
+
+    const repaired = await parseWithRepair({ 
       dbType, 
       userText, 
       collections: collectionsForAI, 
       previewLimit,
-      collectionSchemas // Rich schema with types, examples, indexes
-    });
+      collectionSchemas: promptSchemas, // Rich schema with types, examples, indexes
+      llm,
+      history,
+      timeRange,
+      readOnly
+    }, checkAction, maxRepairs);
 
-    logStep(`[${requestId}] ✅ OLLAMA RESPONSE PARSED`, {
+    const { action, attempts, problem } = repaired;
+    auditBase.schemaVersion = schemaVersion(collectionSchemas);
+    const targetName = action.collection || action.table;
+
+    logStep(`[${requestId}] ✅ LLM RESPONSE PARSED`, {
       action: action.action,
-      collection: action.collection,
+      collection: targetName,
+      sql: action.sql,
+      attempts: attempts.length,
       hasQuery: !!action.query,
       hasProjection: !!(action.options?.projection),
       queryFields: Object.keys(action.query || {}),
       projectionFields: Object.keys(action.options?.projection || {})
     });
 
-    // Validate parsed action structure
-    const validation = validateAction(action);
-    if (!validation.valid) {
-      logStep(`[${requestId}] ❌ ACTION VALIDATION FAILED`, validation.errors);
+    // Structural problems are never handed to the client
+    if (problem?.stage === "validation") {
+      logStep(`[${requestId}] ❌ ACTION VALIDATION FAILED`, { error: problem.error, attempts });
+      await recordAuditEvent(requestId, {
+        ...auditBase,
+        status: "rejected",
+        action,
+        counts: { attempts: attempts.length },
+        durationMs: Date.now() - startedAt,
+        error: problem.error,
+      });
       return NextResponse.json(
         { 
           ok: false, 
-          error: `Invalid query structure: ${validation.errors.join("; ")}`,
-          action 
+          error: `Invalid query structure: ${problem.error}`,
+          action,
+          attempts
         },
         { status: 400 }
       );
     }
 
-    // ========================================================================
-    // ✅ NEW: Validate fields against schema (if available)
-    // ========================================================================
-    if (collectionSchemas[action.collection]) {
-      const availableFields = collectionSchemas[action.collection].fields;
-      const queryFields = Object.keys(action.query || {});
-      const projectionFields = Object.keys(action.options?.projection || {});
-      
-      // Check query fields
-      const invalidQueryFields = queryFields.filter(field => {
-        // Skip MongoDB operators like $or, $and
-        if (field.startsWith('$')) return false;
-        return !availableFields.includes(field);
-      });
-      
-      // Check projection fields
-      const invalidProjectionFields = projectionFields.filter(field => 
-        field !== '_id' && !availableFields.includes(field)
-      );
-      
-      if (invalidQueryFields.length > 0 || invalidProjectionFields.length > 0) {
-        const errorMsg = [];
-        
-        if (invalidQueryFields.length > 0) {
-          errorMsg.push(`Query uses non-existent fields: ${invalidQueryFields.join(', ')}`);
-        }
-        
-        if (invalidProjectionFields.length > 0) {
-          errorMsg.push(`Projection uses non-existent fields: ${invalidProjectionFields.join(', ')}`);
-        }
-        
-        errorMsg.push(`Available fields: ${availableFields.join(', ')}`);
-        
-        logStep(`[${requestId}] ⚠️ FIELD VALIDATION WARNING`, {
-          invalidQueryFields,
-          invalidProjectionFields,
-          availableFields,
-          note: "Query may fail or return unexpected results"
-        });
-        
-        // Log warning but don't block - let MongoDB handle it
-        // This helps catch AI mistakes while allowing valid MongoDB operators
-      }
+    // Field and server problems stay as warnings - the user decides
+    const warnings = [];
+    if (problem) {
+      warnings.push(problem.availableFields
+        ? `${problem.error}. Available fields: ${problem.availableFields.join(', ')}`
+        : problem.error);
+      logStep(`[${requestId}] ⚠️ UNRESOLVED AFTER ${attempts.length} ATTEMPTS`, problem);
+    }
+
+    const scanWarning = dbType === "mongodb"
+      ? collectionScanWarning(plans.get(action), collectionSchemas[targetName])
+      : null;
+    if (scanWarning) {
+      warnings.push(scanWarning);
+      logStep(`[${requestId}] ⚠️ UNINDEXED QUERY ON LARGE COLLECTION`, { collection: targetName });
     }
 
     logStep(`[${requestId}] ✅ ACTION VALIDATED SUCCESSFULLY`, { 
       action: action.action,
-      collection: action.collection,
+      collection: targetName,
+      attempts: attempts.length,
       queryFields: Object.keys(action.query || {}),
       projectionFields: Object.keys(action.options?.projection || {})
     });
 
+    const auditId = await recordAuditEvent(requestId, {
+      ...auditBase,
+      status: "ok",
+      action,
+      counts: { attempts: attempts.length },
+      durationMs: Date.now() - startedAt,
+      warnings,
+    });
+
     // Success response with enhanced metadata
     return NextResponse.json({ 
       ok: true, 
       action, 
       requestId,
       metadata: {
+        dbType,
         schemaUsed: Object.keys(collectionSchemas).length > 0,
         collectionsAvailable: collectionsForAI,
         totalDocuments: dbMetadata?.totalDocuments || 0,
         scannedAt: dbMetadata?.scannedAt || null,
-        model: "qwen2.5-coder:7b",
-        provider: "Ollama (local)",
-        introspectionEngine: "v1.0 (cached)",
+        model: llm.model,
+        provider: llm.label,
+        llm: describeLLM(llm),
+        introspectionEngine: "v1.0",
+        cache,
+        schemaRetrieval,
+        attempts,
+        repairs: attempts.length - 1,
+        historyTurns: history.length,
+        timeRange,
+        readOnly,
+        warnings,
+        scanWarning,
+        auditId,
         // Field information for the target collection
-        targetCollectionInfo: collectionSchemas[action.collection] ? {
-          fields: collectionSchemas[action.collection].fields,
-          documentCount: collectionSchemas[action.collection].documentCount,
-          indexes: collectionSchemas[action.collection].indexes?.length || 0
+        targetCollectionInfo: collectionSchemas[targetName] ? {
+          fields: collectionSchemas[targetName].fields,
+          documentCount: collectionSchemas[targetName].documentCount,
+          indexes: collectionSchemas[targetName].indexes?.length || 0
         } : null
       }
     });
     
   } catch (error) {
+    // Driver errors can quote the connection string
+    error.message = redactURI(error.message);
     logStep(`[${requestId}] 💥 FATAL ERROR`, { 
       error: error.message, 
       stack: error.stack 
     }, error);
+
+    await recordAuditEvent(requestId, {
+      ...auditBase,
+      status: "error",
+      counts: error.attempts ? { attempts: error.attempts.length } : null,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+    });
     
     // Provide helpful error messages based on error type
     let userMessage = error.message;
+    const help = llm
+      ? getProvider(llm.provider).setupHint
+      : "Check LLM_PROVIDER and the request's llm settings";
     
-    if (error.message.includes("Ollama is not running")) {
-      userMessage = "🔴 Ollama is not running. Please start it with: ollama serve";
+    if (llm && error.message.includes("is not running")) {
+      userMessage = `🔴 ${llm.label} is not running at ${llm.baseUrl}.`;
     } else if (error.message.includes("Failed to parse")) {
       userMessage = "🔴 AI response was invalid. Try rephrasing your query.";
     } else if (error.message.includes("connect")) {
-      userMessage = "🔴 Cannot connect to database or Ollama. Check your connections.";
+      userMessage = `🔴 Cannot connect to database or ${llm ? llm.label : "the LLM"}. Check your connections.`;
     } else if (error.message.includes("introspect") || error.message.includes("schema")) {
       userMessage = "🔴 Database introspection failed. Query will work but may be less accurate.";
     }
@@ -243,7 +389,9 @@ export async function POST(req) {
         error: userMessage,
         details: error.message,
         requestId,
-        help: "Make sure Ollama is running: ollama serve"
+        attempts: error.attempts,
+        help,
+        llm: llm ? describeLLM(llm) : null
       },
       { status: 500 }
     );
@@ -0,0 +1,99 @@
+// app/api/ai/undo/route.js
+import { getAdapter, acquireConnection } from "@/lib/adapters";
+import { logStep } from "@/lib/debug";
+import { isReadOnly, connectionKey, resolveConnection, redactURI } from "@/lib/connections";
+import { getUndoEntry, updateUndoEntry, isUndoId } from "@/lib/undostore";
+import { recordAuditEvent, summarizeCounts } from "@/lib/auditlog";
+
+export async function POST(req) {
+  const requestId = Math.random().toString(36).slice(2, 8);
+  let adapter = null;
+  let lease = null;
+  const startedAt = Date.now();
+  let auditBase = null;
+
+  try {
+    logStep(`[${requestId}] UNDO REQUEST RECEIVED`);
+
+    const { connectionId, undoId, force = false } = await req.json();
+
+    if (!connectionId || !undoId) {
+      return new Response(JSON.stringify({ ok: false, error: "connectionId and undoId are required" }), { status: 400 });
+    }
+    if (!isUndoId(undoId)) {
+      return new Response(JSON.stringify({ ok: false, error: "Invalid undoId" }), { status: 400 });
+    }
+
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
+      return new Response(JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }), { status: 404 });
+    }
+    const { uri } = connection;
+
+    adapter = getAdapter(uri);
+    auditBase = { kind: "undo", connection: connectionKey(uri), dbType: adapter.dbType, undoId, force };
+
+    // Entries only ever undo against the connection that created them
+    const entry = await getUndoEntry(undoId);
+    if (!entry || entry.connection !== connectionKey(uri)) {
+      return new Response(JSON.stringify({ ok: false, error: "Undo entry not found for this connection" }), { status: 404 });
+    }
+    if (entry.undoneAt) {
+      return new Response(JSON.stringify({ ok: false, error: `Already undone at ${entry.undoneAt}` }), { status: 409 });
+    }
+    // Without post-images changed documents can't be told apart, so only a
+    // forced undo restores an entry whose write never finished
+    if (entry.status && entry.status !== "ready" && !force) {
+      return new Response(JSON.stringify({ ok: false, error: `The write for this entry did not finish (${entry.status}); force the undo to restore the previous versions anyway`, unfinished: true }), { status: 409 });
+    }
+    if (isReadOnly(uri)) {
+      return new Response(JSON.stringify({ ok: false, error: "Undo writes data and is not allowed on a read-only connection", readOnly: true }), { status: 403 });
+    }
+    if (!adapter.undo) {
+      return new Response(JSON.stringify({ ok: false, error: `Undo is not supported for ${adapter.label}` }), { status: 400 });
+    }
+
+    logStep(`[${requestId}] RESTORING`, { id: entry.id, collection: entry.collection, documents: entry.preImages.length, force });
+
+    lease = await acquireConnection(uri);
+    const { restored, conflicts } = await adapter.undo.restore(lease.client, entry, { force });
+    lease.release();
+    lease = null;
+
+    // Conflicting documents keep the entry open so a forced retry is possible
+    await updateUndoEntry(entry.id, conflicts.length === 0
+      ? { undoneAt: new Date().toISOString(), lastAttempt: { restored, conflicts: 0 } }
+      : { lastAttempt: { restored, conflicts: conflicts.length, at: new Date().toISOString() } });
+
+    logStep(`[${requestId}] UNDO COMPLETE`, { restored, conflicts: conflicts.length });
+    await recordAuditEvent(requestId, {
+      ...auditBase,
+      status: "ok",
+      action: entry.action,
+      counts: summarizeCounts({ restored, conflicts }),
+      durationMs: Date.now() - startedAt,
+    });
+
+    return new Response(
+      JSON.stringify({ ok: true, result: { restored, conflicts }, requestId }),
+      { status: 200 }
+    );
+  }
+  catch (err) {
+    // Driver errors can quote the connection string
+    err.message = redactURI(err.message);
+    logStep(`[${requestId}] UNDO FAILED`, { error: err.message, stack: err.stack }, err);
+
+    if (auditBase) {
+      await recordAuditEvent(requestId, { ...auditBase, status: "error", durationMs: Date.now() - startedAt, error: err.message });
+    }
+
+    // Broken connections are discarded instead of going back into the pool
+    if (lease) lease.release(err);
+
+    return new Response(
+      JSON.stringify({ ok: false, error: err.message || "Undo failed", requestId }),
+      { status: 500 }
+    );
+  }
+}
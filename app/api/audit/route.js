@@ -0,0 +1,54 @@
+// ============================================================================
+// app/api/audit/route.js - Audit Log API
+// ============================================================================
+
+import { listAuditEvents, toCSV } from "@/lib/auditlog";
+
+/**
+ * GET /api/audit?kind=&status=&dbType=&connection=&q=&from=&to=&limit=&format=json|csv|jsonl
+ * Returns audit events newest first; csv/jsonl download as attachments
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const format = searchParams.get("format") || "json";
+    const filters = Object.fromEntries(
+      ["kind", "status", "dbType", "connection", "q", "from", "to", "limit"]
+        .map(key => [key, searchParams.get(key) || undefined])
+    );
+
+    const events = await listAuditEvents(filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "csv") {
+      return new Response(toCSV(events), {
+        status: 200,
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="audit-${stamp}.csv"`,
+        },
+      });
+    }
+
+    if (format === "jsonl") {
+      return new Response(events.map(event => JSON.stringify(event)).join("\n"), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/x-ndjson",
+          "Content-Disposition": `attachment; filename="audit-${stamp}.jsonl"`,
+        },
+      });
+    }
+
+    return new Response(
+      JSON.stringify({ ok: true, events }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("❌ Audit log read failed:", error);
+    return new Response(
+      JSON.stringify({ ok: false, error: error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
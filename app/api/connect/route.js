@@ -1,16 +1,32 @@
 // app/api/connect/route.js
-import { connectWithMongoose } from "@/lib/db";
+import { withConnection } from "@/lib/adapters";
+import { saveConnection, isReadOnly, redactURI } from "@/lib/connections";
 
+/**
+ * Tests a URI and saves it as a connection profile. Only the profile (with
+ * its id) goes back to the browser; the URI stays encrypted on the server.
+ */
 export async function POST(req) {
   try {
-    const { uri } = await req.json();
+    const { uri, name, readOnly = false } = await req.json();
     if (!uri) return new Response(JSON.stringify({ success: false, error: "URI required" }), { status: 400 });
 
-    // Try simple connect (mimic user validation). Close mongoose connection afterwards to avoid long-lived process problems.
-    const db = await connectWithMongoose(uri);
-    // we don't close mongoose (it keeps global connection). For a simple check, it's fine.
-    return new Response(JSON.stringify({ success: true, message: "Connected to MongoDB" }), { status: 200 });
+    // Open and close a connection through the adapter to prove the URI works
+    await withConnection(uri, () => {});
+    const connection = await saveConnection({ name, uri, readOnly });
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        connection,
+        dbType: connection.dbType,
+        label: connection.label,
+        readOnly: isReadOnly(uri),
+        message: `Connected to ${connection.label}${isReadOnly(uri) ? " (read-only)" : ""}`
+      }),
+      { status: 200 }
+    );
   } catch (err) {
-    return new Response(JSON.stringify({ success: false, error: err.message }), { status: 500 });
+    return new Response(JSON.stringify({ success: false, error: redactURI(err.message) }), { status: 500 });
   }
 }
@@ -0,0 +1,52 @@
+// ============================================================================
+// app/api/connections/route.js - Saved Connection Profiles
+// ============================================================================
+// Profiles are created by POST /api/connect once the URI has been tested.
+
+import { listConnections, deleteConnection } from "@/lib/connections";
+
+/**
+ * GET /api/connections
+ * Lists saved profiles (never their URIs)
+ */
+export async function GET() {
+  try {
+    const connections = await listConnections();
+    return new Response(
+      JSON.stringify({ ok: true, connections }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("❌ Listing connections failed:", error.message);
+    return new Response(
+      JSON.stringify({ ok: false, error: error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+/**
+ * DELETE /api/connections
+ * Body: { id: string }
+ */
+export async function DELETE(req) {
+  try {
+    const { id } = await req.json();
+    if (!(await deleteConnection(id))) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Connection not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    return new Response(
+      JSON.stringify({ ok: true }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("❌ Deleting connection failed:", error.message);
+    return new Response(
+      JSON.stringify({ ok: false, error: error.message }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
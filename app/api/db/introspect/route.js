@@ -2,50 +2,52 @@
 // app/api/db/introspect/route.js - Database Introspection API
 // ============================================================================
 
-import { scanDatabase, formatForAI, getCachedDBMetadata, clearDBMetadataCache } from "@/lib/dbIntrospect";
+import { scanDatabase, formatForAI, lookupDBMetadata, clearDBMetadataCache } from "@/lib/dbintrospect";
+import { resolveConnection, redactURI } from "@/lib/connections";
 
 /**
- * GET /api/db/introspect?uri=mongodb://...&format=json|ai
+ * GET /api/db/introspect?connectionId=...&format=json|ai
  * Returns database schema information
  */
 export async function GET(req) {
   try {
     const { searchParams } = new URL(req.url);
-    const uri = searchParams.get("uri");
+    const connectionId = searchParams.get("connectionId");
     const format = searchParams.get("format") || "json"; // 'json' or 'ai'
     const refresh = searchParams.get("refresh") === "true"; // Force refresh cache
     
-    if (!uri) {
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
       return new Response(
-        JSON.stringify({ ok: false, error: "MongoDB URI required" }),
-        { status: 400, headers: { "Content-Type": "application/json" } }
+        JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
       );
     }
     
     console.log(`🔍 Introspection request: format=${format}, refresh=${refresh}`);
     
     // Get metadata (cached or fresh)
-    const metadata = await getCachedDBMetadata(uri, refresh);
+    const { metadata, cache } = await lookupDBMetadata(connection.uri, refresh);
     
     // Return based on format
     if (format === "ai") {
       // Format for AI consumption
       const aiContext = formatForAI(metadata);
       return new Response(
-        JSON.stringify({ ok: true, context: aiContext, metadata }),
+        JSON.stringify({ ok: true, context: aiContext, metadata, cache }),
         { status: 200, headers: { "Content-Type": "application/json" } }
       );
     } else {
       // Return raw JSON
       return new Response(
-        JSON.stringify({ ok: true, metadata }),
+        JSON.stringify({ ok: true, metadata, cache }),
         { status: 200, headers: { "Content-Type": "application/json" } }
       );
     }
   } catch (error) {
-    console.error("❌ Introspection failed:", error);
+    console.error("❌ Introspection failed:", redactURI(error.message));
     return new Response(
-      JSON.stringify({ ok: false, error: error.message }),
+      JSON.stringify({ ok: false, error: redactURI(error.message) }),
       { status: 500, headers: { "Content-Type": "application/json" } }
     );
   }
@@ -53,24 +55,25 @@ export async function GET(req) {
 
 /**
  * POST /api/db/introspect
- * Body: { uri: string, refresh?: boolean }
- * Returns database schema (supports body for sensitive URIs)
+ * Body: { connectionId: string, refresh?: boolean }
+ * Returns database schema
  */
 export async function POST(req) {
   try {
-    const { uri, refresh = false } = await req.json();
+    const { connectionId, refresh = false } = await req.json();
     
-    if (!uri) {
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
       return new Response(
-        JSON.stringify({ ok: false, error: "MongoDB URI required" }),
-        { status: 400, headers: { "Content-Type": "application/json" } }
+        JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
       );
     }
     
     console.log(`🔍 Introspection (POST): refresh=${refresh}`);
     
     // Get metadata
-    const metadata = await getCachedDBMetadata(uri, refresh);
+    const { metadata, cache } = await lookupDBMetadata(connection.uri, refresh);
     const aiContext = formatForAI(metadata);
     
     return new Response(
@@ -78,6 +81,7 @@ export async function POST(req) {
         ok: true, 
         metadata, 
         aiContext,
+        cache,
         summary: {
           collections: metadata.totalCollections,
           documents: metadata.totalDocuments,
@@ -87,9 +91,9 @@ export async function POST(req) {
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
   } catch (error) {
-    console.error("❌ Introspection failed:", error);
+    console.error("❌ Introspection failed:", redactURI(error.message));
     return new Response(
-      JSON.stringify({ ok: false, error: error.message }),
+      JSON.stringify({ ok: false, error: redactURI(error.message) }),
       { status: 500, headers: { "Content-Type": "application/json" } }
     );
   }
@@ -97,13 +101,29 @@ export async function POST(req) {
 
 /**
  * DELETE /api/db/introspect
- * Clears the metadata cache
+ * Body (optional): { connectionId: string } clears only that connection;
+ * without it the whole metadata cache is cleared
  */
 export async function DELETE(req) {
   try {
-    clearDBMetadataCache();
+    const { connectionId } = await req.json().catch(() => ({}));
+
+    let cleared;
+    if (connectionId) {
+      const connection = await resolveConnection(connectionId);
+      if (!connection) {
+        return new Response(
+          JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+      cleared = clearDBMetadataCache(connection.uri);
+    } else {
+      cleared = clearDBMetadataCache();
+    }
+
     return new Response(
-      JSON.stringify({ ok: true, message: "Cache cleared successfully" }),
+      JSON.stringify({ ok: true, cleared, message: "Cache cleared successfully" }),
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
   } catch (error) {
@@ -0,0 +1,25 @@
+// ============================================================================
+// app/api/db/pool/route.js - Connection Pool Stats
+// ============================================================================
+
+import { getPoolStats } from "@/lib/adapters";
+
+/**
+ * GET /api/db/pool
+ * One entry per open pool, keyed by connection hash (never the URI)
+ */
+export async function GET() {
+  const pools = getPoolStats();
+  return new Response(
+    JSON.stringify({
+      ok: true,
+      pools,
+      totals: {
+        pools: pools.length,
+        inUse: pools.reduce((sum, p) => sum + p.inUse, 0),
+        acquired: pools.reduce((sum, p) => sum + p.acquired, 0),
+      },
+    }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
@@ -0,0 +1,61 @@
+// ============================================================================
+// app/api/db/snapshots/diff/route.js - Schema Drift Between Two Snapshots
+// ============================================================================
+
+import { getSnapshot, diffSnapshots, latestSnapshotIds } from "@/lib/schemasnapshots";
+import { metadataCacheKey } from "@/lib/dbintrospect";
+import { resolveConnection, redactURI } from "@/lib/connections";
+
+/**
+ * GET /api/db/snapshots/diff?connectionId=...&from=...&to=...
+ * What changed from one snapshot to another. Without from/to it compares
+ * the latest snapshot with the one before it.
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const connection = await resolveConnection(searchParams.get("connectionId"));
+    if (!connection) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const key = metadataCacheKey(connection.uri);
+    let from = searchParams.get("from");
+    let to = searchParams.get("to");
+
+    if (!from && !to) {
+      const { latest, previous } = await latestSnapshotIds(key);
+      from = previous;
+      to = latest;
+    }
+    if (!from || !to) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Need two snapshots: pass both from and to, or scan at least twice" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const [older, newer] = await Promise.all([getSnapshot(key, from), getSnapshot(key, to)]);
+    if (!older || !newer) {
+      return new Response(
+        JSON.stringify({ ok: false, error: `Snapshot not found: ${!older ? from : to}` }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ ok: true, diff: diffSnapshots(older, newer) }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    const status = error.message === "Invalid snapshot id" ? 400 : 500;
+    console.error("❌ Snapshot diff failed:", redactURI(error.message));
+    return new Response(
+      JSON.stringify({ ok: false, error: redactURI(error.message) }),
+      { status, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+// ============================================================================
+// app/api/db/snapshots/route.js - Schema Snapshot History
+// ============================================================================
+
+import { listSnapshots, getSnapshot } from "@/lib/schemasnapshots";
+import { metadataCacheKey } from "@/lib/dbintrospect";
+import { resolveConnection, redactURI } from "@/lib/connections";
+
+/**
+ * GET /api/db/snapshots?connectionId=...[&id=...]
+ * Snapshot summaries for the connection's database, newest first; with an
+ * id, that snapshot's full structure
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const connection = await resolveConnection(searchParams.get("connectionId"));
+    if (!connection) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const key = metadataCacheKey(connection.uri);
+    const id = searchParams.get("id");
+
+    if (id) {
+      const snapshot = await getSnapshot(key, id);
+      if (!snapshot) {
+        return new Response(
+          JSON.stringify({ ok: false, error: "Snapshot not found" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+      return new Response(
+        JSON.stringify({ ok: true, snapshot }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ ok: true, snapshots: await listSnapshots(key) }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    const status = error.message === "Invalid snapshot id" ? 400 : 500;
+    console.error("❌ Snapshot lookup failed:", redactURI(error.message));
+    return new Response(
+      JSON.stringify({ ok: false, error: redactURI(error.message) }),
+      { status, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
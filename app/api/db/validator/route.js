@@ -0,0 +1,115 @@
+// ============================================================================
+// app/api/db/validator/route.js - Apply an Inferred $jsonSchema Validator
+// ============================================================================
+
+import { getAdapter, acquireConnection } from "@/lib/adapters";
+import { logStep } from "@/lib/debug";
+import { isReadOnly, connectionKey, resolveConnection, redactURI } from "@/lib/connections";
+import { lookupDBMetadata } from "@/lib/dbintrospect";
+import { toJsonSchema } from "@/lib/schemaexport";
+import { recordAuditEvent } from "@/lib/auditlog";
+
+// Existing documents that don't match keep working; violations are only logged
+const VALIDATION_LEVEL = "moderate";
+const VALIDATION_ACTION = "warn";
+
+/**
+ * POST /api/db/validator { connectionId, collection }
+ * Generates the validator from the current scan (never from the request
+ * body) and sets it on the collection in moderate/warn mode
+ */
+export async function POST(req) {
+  const requestId = Math.random().toString(36).slice(2, 8);
+  let lease = null;
+  const startedAt = Date.now();
+  let auditBase = null;
+
+  try {
+    const { connectionId, collection } = await req.json();
+
+    if (!connectionId || !collection) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "connectionId and collection are required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    const { uri } = connection;
+
+    const adapter = getAdapter(uri);
+    if (!adapter.applyValidator) {
+      return new Response(
+        JSON.stringify({ ok: false, error: `Validators are not supported for ${adapter.label}` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    if (isReadOnly(uri)) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Applying a validator changes the collection and is not allowed on a read-only connection", readOnly: true }),
+        { status: 403, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { metadata } = await lookupDBMetadata(uri);
+    const col = metadata.collections.find(c => c.name === collection);
+    if (!col) {
+      return new Response(
+        JSON.stringify({ ok: false, error: `Collection "${collection}" not found` }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    if (col.kind === "view") {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Views can't have validators" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const validator = toJsonSchema(col);
+    const action = { action: "collMod", collection, validationLevel: VALIDATION_LEVEL, validationAction: VALIDATION_ACTION };
+    auditBase = { kind: "validator", connection: connectionKey(uri), dbType: adapter.dbType, action };
+
+    logStep(`[${requestId}] APPLYING VALIDATOR`, { collection, fields: col.fields.length });
+
+    lease = await acquireConnection(uri);
+    const result = await adapter.applyValidator(lease.client, collection, validator, {
+      validationLevel: VALIDATION_LEVEL,
+      validationAction: VALIDATION_ACTION,
+    });
+    lease.release();
+    lease = null;
+
+    // The cached scan is shared; reflect the change until the next rescan
+    col.validation = { level: VALIDATION_LEVEL, action: VALIDATION_ACTION };
+
+    await recordAuditEvent(requestId, { ...auditBase, status: "ok", durationMs: Date.now() - startedAt });
+
+    return new Response(
+      JSON.stringify({ ok: true, result, validator, requestId }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (err) {
+    // Driver errors can quote the connection string
+    err.message = redactURI(err.message);
+    logStep(`[${requestId}] VALIDATOR FAILED`, { error: err.message, stack: err.stack }, err);
+
+    if (auditBase) {
+      await recordAuditEvent(requestId, { ...auditBase, status: "error", durationMs: Date.now() - startedAt, error: err.message });
+    }
+
+    // Broken connections are discarded instead of going back into the pool
+    if (lease) lease.release(err);
+
+    return new Response(
+      JSON.stringify({ ok: false, error: err.message || "Applying the validator failed", requestId }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
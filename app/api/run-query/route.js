@@ -1,107 +1,97 @@
-import { getNativeMongoClient } from "@/lib/db";
-import { logStep, validateAction } from "@/lib/debug";
+import { getAdapter, acquireConnection } from "@/lib/adapters";
+import { logStep, validateReadOnly } from "@/lib/debug";
+import { isReadOnly, connectionKey, resolveConnection, redactURI } from "@/lib/connections";
+import { recordAuditEvent, summarizeCounts } from "@/lib/auditlog";
 
 export async function POST(req) {
   const requestId = Math.random().toString(36).slice(2, 8);
-  let client = null;
+  let adapter = null;
+  let lease = null; // Pooled client, returned to the pool when done
+  const startedAt = Date.now();
+  let auditBase = null;
 
   try {
     logStep(`[${requestId}] EXECUTION REQUEST RECEIVED`);
 
-    const { uri, action } = await req.json();
+    const { connectionId, action: wireAction } = await req.json();
 
     // Validate inputs
-    if (!uri) {
-      logStep(`[${requestId}] MISSING URI`, {});
-      return new Response(JSON.stringify({ ok: false, error: "MongoDB URI required" }), { status: 400 });
+    if (!connectionId) {
+      logStep(`[${requestId}] MISSING CONNECTION`, {});
+      return new Response(JSON.stringify({ ok: false, error: "connectionId required" }), { status: 400 });
     }
 
-    if (!action) {
+    if (!wireAction) {
       logStep(`[${requestId}] MISSING ACTION`, {});
       return new Response(JSON.stringify({ ok: false, error: "Action object required" }), { status: 400 });
     }
 
-    logStep(`[${requestId}] INPUTS VALIDATED`, { actionType: action.action, collection: action.collection });
+    const connection = await resolveConnection(connectionId);
+    if (!connection) {
+      return new Response(JSON.stringify({ ok: false, error: "Unknown connection; reconnect from the connect page" }), { status: 404 });
+    }
+    const { uri } = connection;
+
+    adapter = getAdapter(uri);
+    const action = adapter.deserialize(wireAction);
+    auditBase = { kind: "execute", connection: connectionKey(uri), dbType: adapter.dbType, action: wireAction };
+
+    logStep(`[${requestId}] INPUTS VALIDATED`, { dbType: adapter.dbType, actionType: action.action, collection: action.collection || action.table });
 
     // Validate action structure
-    const validation = validateAction(action);
+    const validation = adapter.validate(action);
     if (!validation.valid) {
       logStep(`[${requestId}] ACTION VALIDATION FAILED`, validation.errors);
+      await recordAuditEvent(requestId, { ...auditBase, status: "rejected", durationMs: Date.now() - startedAt, error: validation.errors.join("; ") });
       return new Response(JSON.stringify({ ok: false, error: validation.errors.join("; ") }), { status: 400 });
     }
 
-    logStep(`[${requestId}] CONNECTING TO MONGODB`);
-
-    // Connect to MongoDB
-    client = await getNativeMongoClient(uri);
-    logStep(`[${requestId}] CONNECTED TO MONGODB`);
+    // Read-only is decided server-side when the connection was opened
+    if (isReadOnly(uri)) {
+      const readOnlyCheck = validateReadOnly(action);
+      if (!readOnlyCheck.valid) {
+        logStep(`[${requestId}] READ-ONLY VIOLATION`, readOnlyCheck.errors);
+        await recordAuditEvent(requestId, { ...auditBase, status: "rejected", durationMs: Date.now() - startedAt, error: readOnlyCheck.errors.join("; ") });
+        return new Response(JSON.stringify({ ok: false, error: readOnlyCheck.errors.join("; "), readOnly: true }), { status: 403 });
+      }
+    }
 
-    const db = client.db();
-    const col = db.collection(action.collection);
+    lease = await acquireConnection(uri);
+    const { client } = lease;
+    logStep(`[${requestId}] CONNECTED TO ${adapter.label.toUpperCase()}`);
 
     logStep(`[${requestId}] EXECUTING ${action.action.toUpperCase()}`, {
-      collection: action.collection,
+      collection: action.collection || action.table,
       query: action.query,
       options: action.options,
+      sql: action.sql,
     });
 
-    let result;
-
-    if (action.action === "find") {
-      const limit = (action.options && action.options.limit) || 100;
-      const sort = (action.options && action.options.sort) || {};
-      result = await col.find(action.query || {}).sort(sort).limit(limit).toArray();
-      logStep(`[${requestId}] FIND COMPLETE`, { documentCount: result.length });
-    } 
-    else if (action.action === "aggregate") {
-      const pipeline = action.pipeline || [];
-      result = await col.aggregate(pipeline).toArray();
-      logStep(`[${requestId}] AGGREGATE COMPLETE`, { documentCount: result.length });
-    } 
-    else if (action.action === "insert") {
-      const payload = Array.isArray(action.insert) ? action.insert : [action.insert];
-      const res = await col.insertMany(payload);
-      result = { insertedIds: res.insertedIds, insertedCount: res.insertedCount };
-      logStep(`[${requestId}] INSERT COMPLETE`, result);
-    } 
-    else if (action.action === "update") {
-      const query = action.query || {};
-      const updateDoc = action.update || {};
-      const res = await col.updateMany(query, updateDoc);
-      result = { matchedCount: res.matchedCount, modifiedCount: res.modifiedCount, upsertedCount: res.upsertedCount };
-      logStep(`[${requestId}] UPDATE COMPLETE`, result);
-    } 
-    else if (action.action === "delete") {
-      const query = action.query || {};
-      const res = await col.deleteMany(query);
-      result = { deletedCount: res.deletedCount };
-      logStep(`[${requestId}] DELETE COMPLETE`, result);
-    } 
-    else {
-      throw new Error(`Unsupported action: ${action.action}`);
-    }
+    const { result } = await adapter.execute(client, action);
+    logStep(`[${requestId}] ${action.action.toUpperCase()} COMPLETE`,
+      Array.isArray(result) ? { documentCount: result.length } : result);
 
-    // Close connection
-    await client.close();
-    logStep(`[${requestId}] CONNECTION CLOSED`);
+    lease.release();
+    lease = null;
+    await recordAuditEvent(requestId, { ...auditBase, status: "ok", counts: summarizeCounts(result), durationMs: Date.now() - startedAt });
 
-    return new Response(JSON.stringify({ ok: true, result, requestId }), { status: 200 });
+    return new Response(JSON.stringify({ ok: true, result: adapter.serialize(result), requestId }), { status: 200 });
   } 
   catch (err) {
+    // Driver errors can quote the connection string
+    err.message = redactURI(err.message);
     logStep(`[${requestId}] EXECUTION FAILED`, { error: err.message, stack: err.stack }, err);
-    
-    // Attempt to close connection
-    if (client) {
-      try {
-        await client.close();
-      } catch (closeErr) {
-        console.error(`[${requestId}] Failed to close client:`, closeErr);
-      }
+
+    if (auditBase) {
+      await recordAuditEvent(requestId, { ...auditBase, status: "error", durationMs: Date.now() - startedAt, error: err.message });
     }
+    
+    // Broken connections are discarded instead of going back into the pool
+    if (lease) lease.release(err);
 
     return new Response(
       JSON.stringify({ ok: false, error: err.message || "Execution failed", requestId }),
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,204 @@
+"use client";
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+
+const KINDS = ["generate", "preview", "dry-run", "explain", "execute", "undo", "validator"];
+const STATUSES = ["ok", "rejected", "error"];
+
+const STATUS_STYLES = {
+  ok: "bg-green-500/20 text-green-400 border-green-500/30",
+  rejected: "bg-yellow-500/20 text-yellow-400 border-yellow-500/30",
+  error: "bg-red-500/20 text-red-400 border-red-500/30",
+};
+
+export default function AuditLog() {
+  const [filters, setFilters] = useState({ kind: "", status: "", q: "", from: "", to: "" });
+  const [events, setEvents] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchEvents({ kind: "", status: "", q: "", from: "", to: "" });
+  }, []);
+
+  async function fetchEvents(current) {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`/api/audit?${buildQuery(current)}`);
+      const data = await res.json();
+
+      if (!data.ok) {
+        throw new Error(data.error || "Failed to load audit log");
+      }
+
+      setEvents(data.events);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function updateFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  const inputClass = "px-3 py-2 bg-black/30 border border-neutral-700/50 rounded-lg text-white text-sm focus:outline-none focus:border-neutral-500";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 p-6">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="bg-black/20 backdrop-blur-md border border-neutral-800/50 rounded-2xl p-6 mb-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-white mb-2">📜 Audit Log</h1>
+              <p className="text-gray-400 text-sm">
+                Every generated, previewed and executed query
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <a
+                href={`/api/audit?${buildQuery(filters, "csv")}`}
+                className="px-4 py-2 bg-blue-500/20 backdrop-blur-md hover:bg-blue-500/30 text-blue-300 rounded-lg border border-blue-500/30 transition"
+              >
+                ⬇️ CSV
+              </a>
+              <a
+                href={`/api/audit?${buildQuery(filters, "jsonl")}`}
+                className="px-4 py-2 bg-blue-500/20 backdrop-blur-md hover:bg-blue-500/30 text-blue-300 rounded-lg border border-blue-500/30 transition"
+              >
+                ⬇️ JSONL
+              </a>
+              <button
+                onClick={() => router.push("/chat")}
+                className="px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-100 transition font-semibold"
+              >
+                Back to Chat
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            fetchEvents(filters);
+          }}
+          className="bg-black/20 backdrop-blur-md border border-neutral-800/50 rounded-xl p-4 mb-6 flex flex-wrap gap-3 items-end"
+        >
+          <select value={filters.kind} onChange={(e) => updateFilter("kind", e.target.value)} className={inputClass}>
+            <option value="">All kinds</option>
+            {KINDS.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+          </select>
+          <select value={filters.status} onChange={(e) => updateFilter("status", e.target.value)} className={inputClass}>
+            <option value="">All statuses</option>
+            {STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <input
+            type="text"
+            value={filters.q}
+            onChange={(e) => updateFilter("q", e.target.value)}
+            placeholder="Search prompt, action, error..."
+            className={`${inputClass} flex-1 min-w-48`}
+          />
+          <input type="date" value={filters.from} onChange={(e) => updateFilter("from", e.target.value)} className={inputClass} />
+          <input type="date" value={filters.to} onChange={(e) => updateFilter("to", e.target.value)} className={inputClass} />
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-4 py-2 bg-white text-black rounded-lg hover:bg-gray-100 transition font-semibold disabled:opacity-50"
+          >
+            {loading ? "Loading..." : "Filter"}
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 mb-6 text-red-400 text-sm">
+            ❌ {error}
+          </div>
+        )}
+
+        {!loading && !error && events.length === 0 && (
+          <div className="text-center text-gray-400 py-12">No audit events match these filters</div>
+        )}
+
+        {/* Events */}
+        <div className="space-y-2">
+          {events.map((event) => (
+            <div
+              key={event.id}
+              className="bg-black/20 backdrop-blur-md border border-neutral-800/50 rounded-xl overflow-hidden"
+            >
+              <button
+                onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                className="w-full px-4 py-3 flex items-center gap-3 text-left hover:bg-black/20 transition"
+              >
+                <span className={`px-2 py-1 text-xs rounded border ${STATUS_STYLES[event.status] || STATUS_STYLES.error}`}>
+                  {event.status}
+                </span>
+                <span className="text-xs font-mono text-blue-400 w-20">{event.kind}</span>
+                <span className="flex-1 min-w-0 text-sm text-white truncate">
+                  {event.prompt || describeAction(event.action) || "—"}
+                </span>
+                <span className="text-xs text-gray-500">{formatCounts(event.counts)}</span>
+                <span className="text-xs text-gray-500 w-16 text-right">{event.durationMs ?? "–"} ms</span>
+                <span className="text-xs text-gray-500 w-40 text-right">{new Date(event.at).toLocaleString()}</span>
+              </button>
+
+              {expanded === event.id && (
+                <div className="border-t border-neutral-800/50 px-4 py-3 text-xs text-gray-300 space-y-2">
+                  {event.error && <div className="text-red-400">❌ {event.error}</div>}
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-gray-400">
+                    <div>Database: <span className="text-white">{event.dbType || "–"}</span></div>
+                    <div>Model: <span className="text-white">{event.model ? `${event.provider} (${event.model})` : "–"}</span></div>
+                    <div>Schema: <span className="text-white font-mono">{event.schemaVersion || "–"}</span></div>
+                    <div>Connection: <span className="text-white font-mono">{event.connection || "–"}</span></div>
+                  </div>
+                  {event.action && (
+                    <pre className="bg-black/30 border border-neutral-700/30 rounded-lg p-3 overflow-x-auto font-mono">
+                      {JSON.stringify(event.action, null, 2)}
+                    </pre>
+                  )}
+                  <div className="text-gray-500 font-mono">
+                    id {event.id}{event.generatedBy ? ` • generated by ${event.generatedBy}` : ""} • request {event.requestId}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function describeAction(action) {
+  if (!action) return null;
+  return `${action.action} ${action.collection || action.table || ""}`.trim();
+}
+
+function formatCounts(counts) {
+  if (!counts) return "";
+  return Object.entries(counts).map(([key, value]) => `${key.replace(/Count$/, "")}: ${value}`).join(" • ");
+}
+
+// Dates from the inputs are local days; "to" includes the whole day
+function buildQuery(current, format = "json") {
+  const params = new URLSearchParams({ format });
+  if (current.kind) params.set("kind", current.kind);
+  if (current.status) params.set("status", current.status);
+  if (current.q.trim()) params.set("q", current.q.trim());
+  if (current.from) params.set("from", new Date(`${current.from}T00:00:00`).toISOString());
+  if (current.to) {
+    const end = new Date(`${current.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    params.set("to", end.toISOString());
+  }
+  return params.toString();
+}
@@ -7,7 +7,13 @@ export default function ChatPage() {
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [uri, setUri] = useState(null);
+  const [connectionId, setConnectionId] = useState(null); // Saved profile; the URI stays on the server
+  const [connections, setConnections] = useState([]);
+  const [dbType, setDbType] = useState("mongodb");
+  const [dbLabel, setDbLabel] = useState("MongoDB");
+  const [llm, setLlm] = useState(null);
+  const [readOnly, setReadOnly] = useState(false);
+  const [history, setHistory] = useState([]); // Earlier turns sent for follow-ups
   const [executing, setExecuting] = useState(false);
   const [mounted, setMounted] = useState(false);
   const messagesEndRef = useRef(null);
@@ -15,16 +21,31 @@ export default function ChatPage() {
 
   useEffect(() => {
     setMounted(true);
-    const stored = localStorage.getItem("dbURI") || "";
-    setUri(stored);
+    localStorage.removeItem("dbURI"); // Left behind by older versions
+    const stored = localStorage.getItem("connectionId") || "";
+    setConnectionId(stored);
+    setDbType(localStorage.getItem("dbType") || "mongodb");
+    setDbLabel(localStorage.getItem("dbLabel") || "MongoDB");
+    setReadOnly(localStorage.getItem("readOnly") === "true");
     if (!stored) setTimeout(() => router.push("/connect"), 1500);
+
+    // Which provider/model the server is configured with
+    fetch("/api/ai/provider")
+      .then((res) => res.json())
+      .then((data) => data.ok && setLlm(data.llm))
+      .catch(() => {});
+
+    fetch("/api/connections")
+      .then((res) => res.json())
+      .then((data) => data.ok && setConnections(data.connections))
+      .catch(() => {});
   }, [router]);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
-  if (!mounted || !uri) return null;
+  if (!mounted || !connectionId) return null;
 
   async function send() {
     if (!input.trim()) return;
@@ -34,15 +55,17 @@ export default function ChatPage() {
     setLoading(true);
 
     try {
-      // Call Ollama AI to parse query
+      // Ask the LLM to parse the query
       const res = await fetch("/api/ai/run-query", {
         method: "POST",
         body: JSON.stringify({ 
-          dbType: "mongodb", 
+          dbType, 
           userText, 
           collections: [], // Auto-detect collections
           previewLimit: 50,
-          uri: uri // Send URI for schema detection
+          connectionId, // Server resolves it for schema detection
+          history,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone // For "last week", "कल"...
         }),
         headers: { "Content-Type": "application/json" },
       });
@@ -50,27 +73,46 @@ export default function ChatPage() {
       const data = await res.json();
       
       if (!data.ok) {
-        throw new Error(data.error || "Failed to parse query");
+        const error = new Error(data.error || "Failed to parse query");
+        error.help = data.help;
+        throw error;
       }
+
+      if (data.metadata?.llm) setLlm(data.metadata.llm);
+      if (data.metadata?.readOnly !== undefined) setReadOnly(data.metadata.readOnly);
+      setHistory((h) => [...h, { userText, action: data.action, resultSummary: null }]);
       
       // Show generated query with metadata
       const metadataInfo = data.metadata?.schemaUsed 
         ? `\n📊 Schema-aware query` 
         : ``;
+      const repairInfo = data.metadata?.repairs > 0
+        ? `\n🔁 Self-corrected after ${data.metadata.attempts.length} attempts`
+        : ``;
+      const range = data.metadata?.timeRange;
+      const rangeInfo = range
+        ? `\n🗓️ "${range.phrase}" → ${formatRangeBoundary(range.start, range.timeZone)} – ${formatRangeBoundary(range.end, range.timeZone)} (${range.timeZone})`
+        : ``;
+      const retrieval = data.metadata?.schemaRetrieval;
+      const retrievalInfo = retrieval?.pruned > 0
+        ? `\n🎯 Schema sent for: ${retrieval.selected.join(", ")} (${retrieval.selected.length} of ${retrieval.considered.length} most relevant)`
+        : ``;
+      const warningInfo = (data.metadata?.warnings || []).map(w => `\n⚠️ ${w}`).join("");
       
       setMessages((m) => [
         ...m,
         { 
           role: "ai", 
-          text: `✅ Generated ${data.action.action} query on "${data.action.collection}"${metadataInfo}`, 
+          text: `✅ Generated ${data.action.action} query on "${data.action.collection || data.action.table}"${metadataInfo}${retrievalInfo}${repairInfo}${rangeInfo}${warningInfo}`, 
           action: data.action,
+          prompt: userText,
           metadata: data.metadata
         },
       ]);
     } catch (err) {
       // Show helpful error messages
-      const errorMsg = err.message.includes("Ollama") 
-        ? `🔴 ${err.message}\n\nMake sure:\n1. Ollama is installed\n2. Run: ollama serve\n3. Pull model: ollama pull qwen2.5-coder:7b`
+      const errorMsg = err.help && err.message.includes("is not running")
+        ? `${err.message}\n\nMake sure:\n${err.help}`
         : err.message;
         
       setMessages((m) => [...m, { role: "error", text: errorMsg }]);
@@ -79,6 +121,40 @@ export default function ChatPage() {
     }
   }
 
+  // Attach what a query returned to its turn so follow-ups can refer to it
+  function rememberResult(action, result) {
+    setHistory((h) => h.map((turn) =>
+      turn.action === action ? { ...turn, resultSummary: summarizeResult(result) } : turn
+    ));
+  }
+
+  // Ties preview/dry-run/execute audit events to the prompt that generated the action
+  function auditContext(action, extra = {}) {
+    const turn = messages.find((msg) => msg.action === action);
+    return { prompt: turn?.prompt, generatedBy: turn?.metadata?.auditId, ...extra };
+  }
+
+  // Follow-ups and pending actions belong to the old database, so start fresh
+  function switchConnection(id) {
+    const connection = connections.find((c) => c.id === id);
+    if (!connection) return;
+    localStorage.setItem("connectionId", connection.id);
+    localStorage.setItem("dbType", connection.dbType);
+    localStorage.setItem("dbLabel", connection.name);
+    localStorage.setItem("readOnly", String(!!connection.readOnly));
+    setConnectionId(connection.id);
+    setDbType(connection.dbType);
+    setDbLabel(connection.name);
+    setReadOnly(!!connection.readOnly);
+    setHistory([]);
+    setMessages([{ role: "system", text: `🔌 Switched to ${connection.name} (${connection.label})` }]);
+  }
+
+  function resetContext() {
+    setHistory([]);
+    setMessages((m) => [...m, { role: "system", text: "🧹 Conversation context cleared - next question starts fresh" }]);
+  }
+
   async function previewAction(action) {
     if (action.action !== "find") {
       alert("Preview only available for find queries");
@@ -89,19 +165,14 @@ export default function ChatPage() {
     setExecuting(true);
 
     try {
-      // Execute with limit 5 for preview
+      // Execute with limit 5 for preview (SQL actions carry a top-level limit)
+      const previewAction = action.sql
+        ? { ...action, limit: 5 }
+        : { ...action, options: { ...action.options, limit: 5 } };
+
       const res = await fetch("/api/ai/execute", {
         method: "POST",
-        body: JSON.stringify({ 
-          uri, 
-          action: { 
-            ...action, 
-            options: { 
-              ...action.options, 
-              limit: 5 
-            } 
-          } 
-        }),
+        body: JSON.stringify({ connectionId, action: previewAction, audit: auditContext(action, { preview: true }) }),
         headers: { "Content-Type": "application/json" },
       });
       
@@ -122,6 +193,7 @@ export default function ChatPage() {
         projectionInfo = `📋 Showing fields: ${data.metadata.fieldsReturned.join(', ')}\n\n`;
       }
       
+      rememberResult(action, data.result);
       setMessages((m) => [...m, {
         role: "preview",
         text: `🔍 Preview (showing ${resultCount} of total results):\n\n${projectionInfo}${resultText}`,
@@ -136,6 +208,103 @@ export default function ChatPage() {
     }
   }
 
+  async function dryRunAction(action) {
+    setMessages((m) => [...m, { role: "system", text: `🧪 Dry-running ${action.action}...` }]);
+    setExecuting(true);
+
+    try {
+      const res = await fetch("/api/ai/execute", {
+        method: "POST",
+        body: JSON.stringify({ connectionId, action, dryRun: true, audit: auditContext(action) }),
+        headers: { "Content-Type": "application/json" },
+      });
+
+      const data = await res.json();
+
+      if (!data.ok) {
+        throw new Error(data.error || "Dry run failed");
+      }
+
+      const { matchedCount, samples, note } = data.result;
+      const verb = action.action === "delete" ? "deleted" : "updated";
+      let text = `🧪 Dry run: ${matchedCount} record(s) would be ${verb}`;
+      if (samples.length > 0) text += `\n\nSample of ${samples.length}:`;
+
+      samples.forEach((sample, i) => {
+        if (sample.changes) {
+          const lines = sample.changes.length > 0
+            ? sample.changes.map((c) => `   ${c.path}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`).join("\n")
+            : "   (no change)";
+          text += `\n\n#${i + 1} ${JSON.stringify(sample.before).slice(0, 120)}\n${lines}`;
+        } else {
+          text += `\n\n#${i + 1} ${JSON.stringify(sample.before, null, 2)}`;
+        }
+      });
+      if (note) text += `\n\n⚠️ ${note}`;
+
+      // Execute for update/delete unlocks only after its dry run
+      setMessages((m) => [
+        ...m.map((msg) => (msg.action === action ? { ...msg, dryRun: true } : msg)),
+        { role: "preview", text },
+      ]);
+    } catch (err) {
+      setMessages((m) => [...m, {
+        role: "error",
+        text: `❌ Dry run failed: ${err.message}`
+      }]);
+    } finally {
+      setExecuting(false);
+    }
+  }
+
+  async function undoAction(undoId, force = false) {
+    setExecuting(true);
+    setMessages((m) => [...m, { role: "system", text: force ? "↩️ Forcing undo..." : "↩️ Undoing..." }]);
+
+    try {
+      const res = await fetch("/api/ai/undo", {
+        method: "POST",
+        body: JSON.stringify({ connectionId, undoId, force }),
+        headers: { "Content-Type": "application/json" },
+      });
+
+      const data = await res.json();
+
+      if (data.unfinished && confirm(`${data.error}.\n\nRestore the previous versions without checking for later changes?`)) {
+        setExecuting(false);
+        await undoAction(undoId, true);
+        return;
+      }
+      if (!data.ok) {
+        throw new Error(data.error || "Undo failed");
+      }
+
+      const { restored, conflicts } = data.result;
+      let text = `↩️ Restored ${restored} document(s)`;
+      if (conflicts.length > 0) {
+        text += `\n⚠️ ${conflicts.length} skipped because they changed since:\n` +
+          conflicts.map((c) => `   ${JSON.stringify(c._id)}: ${c.reason}`).join("\n");
+      }
+
+      setMessages((m) => [
+        ...m.map((msg) => (msg.undoId === undoId && conflicts.length === 0 ? { ...msg, undoId: null } : msg)),
+        { role: conflicts.length > 0 ? "preview" : "success", text },
+      ]);
+
+      if (conflicts.length > 0 && confirm(`${conflicts.length} document(s) changed since the operation. Overwrite them with their previous versions?`)) {
+        setExecuting(false);
+        await undoAction(undoId, true);
+      }
+    } catch (err) {
+      setMessages((m) => [...m, {
+        role: "error",
+        text: `❌ Undo failed: ${err.message}`
+      }]);
+    } finally {
+      setExecuting(false);
+    }
+  }
+
   async function runAction(action) {
     const isDestructive = ["update", "delete"].includes(action.action);
     
@@ -143,6 +312,11 @@ export default function ChatPage() {
       return;
     }
 
+    const scanWarning = messages.find((msg) => msg.action === action)?.metadata?.scanWarning;
+    if (scanWarning && !confirm(`⚠️ ${scanWarning}.\n\nRun it anyway?`)) {
+      return;
+    }
+
     setExecuting(true);
     setMessages((m) => [...m, { 
       role: "system", 
@@ -153,7 +327,7 @@ export default function ChatPage() {
       // Execute the query
       const res = await fetch("/api/ai/execute", {
         method: "POST",
-        body: JSON.stringify({ uri, action }),
+        body: JSON.stringify({ connectionId, action, audit: auditContext(action) }),
         headers: { "Content-Type": "application/json" },
       });
       
@@ -163,6 +337,8 @@ export default function ChatPage() {
         throw new Error(data.error || "Execution failed");
       }
       
+      rememberResult(action, data.result);
+
       // Format result based on action type
       let resultText = "";
       
@@ -197,9 +373,16 @@ export default function ChatPage() {
         }
       }
       
+      // Destructive writes come back with an undo entry (or why there is none)
+      const undo = data.metadata?.undo;
+      if (undo && !undo.available) {
+        resultText += `\n↩️ Undo unavailable: ${undo.reason}`;
+      }
+
       setMessages((m) => [...m, { 
         role: "success", 
-        text: resultText
+        text: resultText,
+        undoId: undo?.available ? undo.id : null
       }]);
     } catch (err) {
       setMessages((m) => [...m, { 
@@ -222,15 +405,47 @@ export default function ChatPage() {
             <div>
               <h1 className="text-xl font-bold text-white">🤖 DB Agent</h1>
               <p className="text-xs text-gray-400">
-                Connected • Powered by Ollama (qwen2.5-coder:7b)
+                Connected to {dbLabel}{readOnly ? " 🔒 Read-only" : ""} • {llm ? `Powered by ${llm.label} (${llm.model})` : "Checking model..."}
               </p>
             </div>
-            <button
-              onClick={() => { localStorage.removeItem("dbURI"); router.push("/connect"); }}
-              className="text-sm text-gray-400 hover:text-white transition"
-            >
-              Disconnect
-            </button>
+            <div className="flex items-center gap-4">
+              {connections.length > 1 && (
+                <select
+                  value={connectionId}
+                  onChange={(e) => switchConnection(e.target.value)}
+                  disabled={loading || executing}
+                  title="Switch saved connection"
+                  className="text-sm bg-black/30 border border-neutral-700/50 rounded-lg px-2 py-1 text-gray-300 focus:outline-none"
+                >
+                  {connections.map((c) => (
+                    <option key={c.id} value={c.id}>{c.name}{c.readOnly ? " 🔒" : ""}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={resetContext}
+                disabled={history.length === 0}
+                title="Forget earlier questions so the next one isn't treated as a follow-up"
+                className="text-sm text-gray-400 hover:text-white transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                🧹 Reset context{history.length > 0 ? ` (${history.length})` : ""}
+              </button>
+              <button
+                onClick={() => router.push("/audit")}
+                className="text-sm text-gray-400 hover:text-white transition"
+              >
+                📜 Audit log
+              </button>
+              <button
+                onClick={() => {
+                  ["connectionId", "dbType", "dbLabel", "readOnly"].forEach((key) => localStorage.removeItem(key));
+                  router.push("/connect");
+                }}
+                className="text-sm text-gray-400 hover:text-white transition"
+              >
+                Disconnect
+              </button>
+            </div>
           </div>
         </div>
 
@@ -249,7 +464,7 @@ export default function ChatPage() {
                     <span className="text-white font-semibold"> Marathi (मराठी)</span>
                   </p>
                   <p className="text-xs text-gray-500 mb-8">
-                    Using Ollama with Qwen 2.5 Coder (local, private, no API keys needed)
+                    {llm ? `Using ${llm.label} with ${llm.model}` : "Checking model..."}
                   </p>
                   <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 w-full max-w-2xl">
                     {[
@@ -289,15 +504,26 @@ export default function ChatPage() {
                         {m.action && (
                           <div className="mt-3 flex gap-2 flex-wrap">
                             <button
-                              onClick={() => previewAction(m.action)}
-                              disabled={executing || m.action.action !== "find"}
+                              onClick={() => (m.action.action === "find" ? previewAction(m.action) : dryRunAction(m.action))}
+                              disabled={executing || !["find", "update", "delete"].includes(m.action.action)}
                               className="px-2.5 py-1 text-xs rounded bg-blue-500/20 backdrop-blur-md hover:bg-blue-500/30 text-blue-300 hover:text-blue-200 border border-blue-500/30 disabled:opacity-50 disabled:cursor-not-allowed transition"
                             >
-                              🔍 Preview
+                              {["update", "delete"].includes(m.action.action) ? "🧪 Dry run" : "🔍 Preview"}
                             </button>
                             <button
                               onClick={() => runAction(m.action)}
-                              disabled={executing}
+                              disabled={
+                                executing ||
+                                (readOnly && !["find", "aggregate"].includes(m.action.action)) ||
+                                (["update", "delete"].includes(m.action.action) && !m.dryRun)
+                              }
+                              title={
+                                readOnly && !["find", "aggregate"].includes(m.action.action)
+                                  ? "Read-only connection"
+                                  : ["update", "delete"].includes(m.action.action) && !m.dryRun
+                                  ? "Run the dry run first"
+                                  : undefined
+                              }
                               className="px-2.5 py-1 text-xs rounded bg-green-500/20 backdrop-blur-md hover:bg-green-500/30 text-green-300 hover:text-green-200 border border-green-500/30 disabled:opacity-50 disabled:cursor-not-allowed transition"
                             >
                               ▶️ Execute
@@ -313,6 +539,17 @@ export default function ChatPage() {
                             </button>
                           </div>
                         )}
+                        {m.undoId && (
+                          <div className="mt-3">
+                            <button
+                              onClick={() => undoAction(m.undoId)}
+                              disabled={executing || readOnly}
+                              className="px-2.5 py-1 text-xs rounded bg-yellow-500/20 backdrop-blur-md hover:bg-yellow-500/30 text-yellow-300 hover:text-yellow-200 border border-yellow-500/30 disabled:opacity-50 disabled:cursor-not-allowed transition"
+                            >
+                              ↩️ Undo
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -344,7 +581,7 @@ export default function ChatPage() {
                 </button>
               </div>
               <p className="text-xs text-gray-500 mt-2">
-                💡 Press Enter to send • Try: "Ram का email बताओ" • Powered by local Ollama
+                💡 Press Enter to send • Try: "Ram का email बताओ" • Powered by {llm ? llm.label : "your local LLM"}
               </p>
             </div>
           </div>
@@ -352,4 +589,29 @@ export default function ChatPage() {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+// Short description of a result for the conversation history
+function summarizeResult(result) {
+  if (Array.isArray(result)) {
+    const first = result.length > 0 ? ` First: ${JSON.stringify(result[0]).slice(0, 200)}` : "";
+    return `${result.length} row(s) returned.${first}`;
+  }
+  if (result?.insertedCount !== undefined) return `Inserted ${result.insertedCount}`;
+  if (result?.modifiedCount !== undefined) return `Matched ${result.matchedCount}, modified ${result.modifiedCount}`;
+  if (result?.deletedCount !== undefined) return `Deleted ${result.deletedCount}`;
+  return JSON.stringify(result ?? null).slice(0, 200);
+}
+
+// Range boundaries in the user's timezone, e.g. "4 Mar 2024, 00:00"
+function formatRangeBoundary(iso, timeZone) {
+  return new Date(iso).toLocaleString("en-GB", {
+    timeZone,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+}
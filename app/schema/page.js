@@ -1,26 +1,34 @@
 "use client";
 import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
+import { formatFieldType } from "@/lib/inferschema";
+import { toJsonSchema, toMongooseSchema, toTypeScript, modelNameFor } from "@/lib/schemaexport";
 
 export default function SchemaViewer() {
-  const [uri, setUri] = useState(null);
+  const [connectionId, setConnectionId] = useState(null);
   const [metadata, setMetadata] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [history, setHistory] = useState(null); // Snapshot summaries once opened
+  const [compare, setCompare] = useState({ from: "", to: "" });
+  const [historyDiff, setHistoryDiff] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [exportFormats, setExportFormats] = useState({}); // Collection → open export format
+  const [validators, setValidators] = useState({}); // Collection → { applying, error, applied }
   const router = useRouter();
 
   useEffect(() => {
-    const stored = localStorage.getItem("dbURI");
+    const stored = localStorage.getItem("connectionId");
     if (!stored) {
       router.push("/connect");
       return;
     }
-    setUri(stored);
+    setConnectionId(stored);
     fetchSchema(stored);
   }, [router]);
 
-  async function fetchSchema(dbUri, forceRefresh = false) {
+  async function fetchSchema(id, forceRefresh = false) {
     setLoading(true);
     setError(null);
     
@@ -28,7 +36,7 @@ export default function SchemaViewer() {
       const res = await fetch("/api/db/introspect", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ uri: dbUri, refresh: forceRefresh })
+        body: JSON.stringify({ connectionId: id, refresh: forceRefresh })
       });
       
       const data = await res.json();
@@ -47,9 +55,63 @@ export default function SchemaViewer() {
   }
 
   async function handleRefresh() {
-    if (!uri) return;
+    if (!connectionId) return;
     setRefreshing(true);
-    await fetchSchema(uri, true);
+    await fetchSchema(connectionId, true);
+    if (history) await openHistory();
+  }
+
+  async function openHistory() {
+    setHistoryError(null);
+    try {
+      const res = await fetch(`/api/db/snapshots?connectionId=${encodeURIComponent(connectionId)}`);
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || "Failed to load schema history");
+      setHistory(data.snapshots);
+      // Newest two by default
+      const pair = { from: data.snapshots[1]?.id || "", to: data.snapshots[0]?.id || "" };
+      setCompare(pair);
+      if (pair.from && pair.to) await compareSnapshots(pair);
+      else setHistoryDiff(null);
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  }
+
+  async function compareSnapshots({ from, to }) {
+    setHistoryError(null);
+    try {
+      const params = new URLSearchParams({ connectionId, from, to });
+      const res = await fetch(`/api/db/snapshots/diff?${params}`);
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || "Failed to compare snapshots");
+      setHistoryDiff(data.diff);
+    } catch (err) {
+      setHistoryError(err.message);
+    }
+  }
+
+  async function applyValidator(collection) {
+    if (!confirm(`Apply the inferred validator to "${collection}"?\n\nIt runs in moderate/warn mode: existing documents are left alone and violations are only logged.`)) return;
+    setValidators((v) => ({ ...v, [collection]: { applying: true } }));
+    try {
+      const res = await fetch("/api/db/validator", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ connectionId, collection })
+      });
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || "Failed to apply validator");
+      setValidators((v) => ({ ...v, [collection]: { applied: data.result } }));
+      setMetadata((m) => ({
+        ...m,
+        collections: m.collections.map((c) => (c.name === collection
+          ? { ...c, validation: { level: data.result.validationLevel, action: data.result.validationAction } }
+          : c)),
+      }));
+    } catch (err) {
+      setValidators((v) => ({ ...v, [collection]: { error: err.message } }));
+    }
   }
 
   if (loading) {
@@ -84,6 +146,10 @@ export default function SchemaViewer() {
 
   if (!metadata) return null;
 
+  const relationships = Object.fromEntries(
+    metadata.collections.map(col => [col.name, relationshipsOf(col, metadata.collections)])
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 p-6">
       <div className="max-w-6xl mx-auto">
@@ -97,6 +163,12 @@ export default function SchemaViewer() {
               </p>
             </div>
             <div className="flex gap-3">
+              <button
+                onClick={() => (history ? setHistory(null) : openHistory())}
+                className="px-4 py-2 bg-purple-500/20 backdrop-blur-md hover:bg-purple-500/30 text-purple-300 rounded-lg border border-purple-500/30 transition"
+              >
+                {history ? "✕ Close History" : "🕘 History"}
+              </button>
               <button
                 onClick={handleRefresh}
                 disabled={refreshing}
@@ -114,6 +186,75 @@ export default function SchemaViewer() {
           </div>
         </div>
 
+        {/* Drift since the previous scan */}
+        {metadata.drift && (
+          <div className="bg-yellow-500/10 backdrop-blur-md border border-yellow-500/30 rounded-2xl p-6 mb-6">
+            <h2 className="text-lg font-bold text-yellow-300 mb-1">
+              ⚠️ Schema changed: {metadata.drift.totalChanges} change{metadata.drift.totalChanges === 1 ? "" : "s"}
+            </h2>
+            <p className="text-gray-400 text-sm mb-4">
+              Compared with the scan from {new Date(metadata.drift.from.scannedAt).toLocaleString()}
+            </p>
+            <DriftDetails diff={metadata.drift} />
+          </div>
+        )}
+
+        {/* Snapshot history */}
+        {history && (
+          <div className="bg-black/20 backdrop-blur-md border border-neutral-800/50 rounded-2xl p-6 mb-6">
+            <h2 className="text-lg font-bold text-white mb-4">🕘 Schema History ({history.length} snapshots)</h2>
+            {historyError && <p className="text-red-400 text-sm mb-4">{historyError}</p>}
+            {history.length < 2 ? (
+              <p className="text-gray-400 text-sm">
+                Snapshots are saved whenever a scan finds a different schema. Refresh after the schema changes to compare.
+              </p>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-3 mb-4">
+                  {["from", "to"].map((side) => (
+                    <label key={side} className="text-sm text-gray-400 flex items-center gap-2">
+                      {side === "from" ? "From" : "To"}
+                      <select
+                        value={compare[side]}
+                        onChange={(e) => setCompare((c) => ({ ...c, [side]: e.target.value }))}
+                        className="bg-black/40 border border-neutral-700 rounded-lg px-2 py-1 text-white text-sm"
+                      >
+                        {history.map((snap) => (
+                          <option key={snap.id} value={snap.id}>
+                            {new Date(snap.scannedAt).toLocaleString()} • {snap.collections} collections, {snap.fields} fields
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <button
+                    onClick={() => compareSnapshots(compare)}
+                    disabled={!compare.from || !compare.to || compare.from === compare.to}
+                    className="px-3 py-1 bg-white text-black rounded-lg text-sm font-semibold hover:bg-gray-100 transition disabled:opacity-50"
+                  >
+                    Compare
+                  </button>
+                </div>
+                <div className="space-y-1 mb-4">
+                  {history.map((snap) => (
+                    <div key={snap.id} className="flex items-center justify-between text-xs text-gray-400 font-mono">
+                      <span>{new Date(snap.scannedAt).toLocaleString()}</span>
+                      <span>
+                        {snap.changes === null ? "first snapshot" : `${snap.changes} change${snap.changes === 1 ? "" : "s"}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {historyDiff && (
+                  historyDiff.totalChanges === 0
+                    ? <p className="text-gray-400 text-sm">No differences between these snapshots.</p>
+                    : <DriftDetails diff={historyDiff} />
+                )}
+              </>
+            )}
+          </div>
+        )}
+
         {/* Summary Stats */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
           <div className="bg-black/20 backdrop-blur-md border border-neutral-800/50 rounded-xl p-6">
@@ -148,53 +289,180 @@ export default function SchemaViewer() {
               <div className="bg-black/30 border-b border-neutral-800/50 px-6 py-4">
                 <div className="flex items-center justify-between">
                   <div>
-                    <h3 className="text-xl font-bold text-white">📂 {col.name}</h3>
+                    <div className="flex items-center gap-2">
+                      <h3 className="text-xl font-bold text-white">📂 {col.name}</h3>
+                      {col.kind === "view" && (
+                        <span className="px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded border border-purple-500/30">
+                          VIEW{col.viewOn ? ` on ${col.viewOn}` : ""}
+                        </span>
+                      )}
+                      {col.kind === "timeseries" && (
+                        <span
+                          title={col.timeseries ? `timeField: ${col.timeseries.timeField}${col.timeseries.metaField ? `, metaField: ${col.timeseries.metaField}` : ""}` : undefined}
+                          className="px-2 py-0.5 bg-cyan-500/20 text-cyan-300 text-xs rounded border border-cyan-500/30"
+                        >
+                          TIME-SERIES
+                        </span>
+                      )}
+                      {col.capped && (
+                        <span className="px-2 py-0.5 bg-orange-500/20 text-orange-300 text-xs rounded border border-orange-500/30">
+                          CAPPED
+                        </span>
+                      )}
+                      {col.validation && (
+                        <span
+                          title={`validationLevel: ${col.validation.level}, validationAction: ${col.validation.action}`}
+                          className="px-2 py-0.5 bg-green-500/20 text-green-300 text-xs rounded border border-green-500/30"
+                        >
+                          VALIDATED ({col.validation.action})
+                        </span>
+                      )}
+                    </div>
                     <p className="text-gray-400 text-sm mt-1">
                       {col.documentCount.toLocaleString()} documents • {formatBytes(col.storageSize)} • 
                       Avg size: {formatBytes(col.avgDocSize)}
+                      {col.dataSize !== undefined && ` • Data: ${formatBytes(col.dataSize)}`}
+                      {col.totalIndexSize !== undefined && ` • Indexes: ${formatBytes(col.totalIndexSize)}`}
+                      {col.sampleSize !== undefined && ` • Sampled ${col.sampleSize.toLocaleString()}`}
                     </p>
                   </div>
-                  {col.indexes.length > 0 && (
-                    <div className="text-sm text-gray-400">
-                      📌 {col.indexes.length} {col.indexes.length === 1 ? "index" : "indexes"}
-                    </div>
-                  )}
+                  <div className="flex items-center gap-3">
+                    {col.confidence && (
+                      <span
+                        title={`${col.confidence.coverage}% of documents sampled`}
+                        className={`px-2 py-1 text-xs rounded border ${CONFIDENCE_STYLES[col.confidence.level]}`}
+                      >
+                        Schema confidence: {col.confidence.level}
+                      </span>
+                    )}
+                    {col.indexes.length > 0 && (
+                      <div className="text-sm text-gray-400">
+                        📌 {col.indexes.length} {col.indexes.length === 1 ? "index" : "indexes"}
+                      </div>
+                    )}
+                  </div>
                 </div>
               </div>
 
               {/* Fields */}
               <div className="p-6">
+                {col.confidence && col.confidence.level !== "high" && (
+                  <div className="mb-4 px-4 py-3 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-yellow-300 text-sm">
+                    ⚠️ Only {col.sampleSize.toLocaleString()} of {col.documentCount.toLocaleString()} documents
+                    ({col.confidence.coverage}%) were sampled. Fields present in fewer than {col.confidence.missRate}% of
+                    documents may be missing; raise SCHEMA_SAMPLE_SIZE for a fuller picture.
+                  </div>
+                )}
                 <h4 className="text-sm font-semibold text-gray-400 mb-3">
                   🔑 FIELDS ({col.fields.length})
                 </h4>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div className="space-y-1">
                   {col.fields.map((field, fieldIdx) => {
-                    const types = col.fieldTypes[field]?.join(" | ") || "unknown";
+                    const types = formatFieldType(col, field);
+                    const distribution = col.typeDistribution?.[field];
+                    const mixed = distribution && Object.keys(distribution).length > 1;
                     const sample = col.sampleValues[field];
+                    const occurrence = col.occurrence?.[field];
+                    const stat = col.fieldStats?.[field];
+                    const depth = field.split(".").length - 1;
                     
                     return (
                       <div
                         key={fieldIdx}
-                        className="bg-black/30 backdrop-blur-md border border-neutral-700/30 rounded-lg p-3"
+                        style={{ marginLeft: `${depth * 1.5}rem` }}
+                        className={`bg-black/30 backdrop-blur-md border border-neutral-700/30 rounded-lg px-3 py-2 ${depth > 0 ? "border-l-2 border-l-blue-500/40" : ""}`}
                       >
-                        <div className="flex items-start justify-between">
+                        <div className="flex items-center justify-between gap-3">
                           <div className="flex-1 min-w-0">
-                            <div className="font-mono text-sm text-white font-semibold truncate">
-                              {field}
+                            <div className="flex items-baseline gap-2 min-w-0">
+                              <span className="font-mono text-sm text-white font-semibold truncate" title={field}>
+                                {depth > 0 ? field.split(".").pop() : field}
+                              </span>
+                              <span className="text-xs text-blue-400 truncate">{types}</span>
                             </div>
-                            <div className="text-xs text-blue-400 mt-1">{types}</div>
-                            {sample !== undefined && (
+                            {mixed && (
+                              <div className="text-xs text-yellow-400/80 mt-1">
+                                Mixed types: {Object.entries(distribution).map(([type, pct]) => `${type} ${pct}%`).join(" • ")}
+                              </div>
+                            )}
+                            {sample !== undefined && !stat?.topValues && (
                               <div className="text-xs text-gray-500 mt-1 truncate font-mono">
                                 Example: {JSON.stringify(sample)}
                               </div>
                             )}
+                            {stat && stat.count > 0 && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {formatFieldStats(stat)}
+                              </div>
+                            )}
+                            {stat?.topValues && (
+                              <div className="flex flex-wrap gap-1 mt-2">
+                                {stat.enum && (
+                                  <span className="px-1.5 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded border border-purple-500/30">
+                                    ENUM
+                                  </span>
+                                )}
+                                {stat.topValues.map((top) => (
+                                  <span
+                                    key={top.value}
+                                    className="px-1.5 py-0.5 bg-neutral-800/60 text-gray-300 text-xs rounded font-mono"
+                                  >
+                                    {JSON.stringify(top.value)} <span className="text-gray-500">×{top.count}</span>
+                                  </span>
+                                ))}
+                              </div>
+                            )}
                           </div>
+                          {occurrence !== undefined && (
+                            <span
+                              title={`Present in ${occurrence}% of sampled documents`}
+                              className={`px-2 py-0.5 text-xs rounded border shrink-0 ${
+                                occurrence === 100
+                                  ? "bg-green-500/10 text-green-400 border-green-500/30"
+                                  : "bg-yellow-500/10 text-yellow-400 border-yellow-500/30"
+                              }`}
+                            >
+                              {occurrence}%
+                            </span>
+                          )}
                         </div>
                       </div>
                     );
                   })}
                 </div>
 
+                {/* Relationships */}
+                {relationships[col.name].length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="text-sm font-semibold text-gray-400 mb-3">
+                      🔗 RELATIONSHIPS ({relationships[col.name].length})
+                    </h4>
+                    <div className="space-y-2">
+                      {relationships[col.name].map((rel, relIdx) => (
+                        <div
+                          key={relIdx}
+                          className="bg-black/30 backdrop-blur-md border border-neutral-700/30 rounded-lg p-3"
+                        >
+                          <div className="flex items-center justify-between gap-3">
+                            <div className="min-w-0">
+                              <div className="font-mono text-sm text-white">
+                                {rel.from}.{rel.field} → {rel.to}.{rel.toField}
+                                {rel.many && <span className="text-gray-400"> (many)</span>}
+                              </div>
+                              {rel.evidence && (
+                                <div className="text-xs text-gray-500 mt-1 truncate">{rel.evidence}</div>
+                              )}
+                            </div>
+                            <span className={`px-2 py-1 text-xs rounded border shrink-0 ${CONFIDENCE_STYLES[rel.confidence]}`}>
+                              {rel.incoming ? "INCOMING" : "OUTGOING"} • {rel.confidence}
+                            </span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Indexes */}
                 {col.indexes.length > 0 && (
                   <div className="mt-6">
@@ -214,6 +482,7 @@ export default function SchemaViewer() {
                               </div>
                               <div className="text-xs text-gray-400 mt-1">
                                 Fields: {idx.keys.join(", ")}
+                                {idx.size !== undefined && ` • ${formatBytes(idx.size)}`}
                               </div>
                             </div>
                             {idx.unique && (
@@ -227,6 +496,17 @@ export default function SchemaViewer() {
                     </div>
                   </div>
                 )}
+
+                {/* Export as validator / model / types */}
+                {metadata.dbType === "mongodb" && col.fields.length > 0 && (
+                  <SchemaExport
+                    col={col}
+                    format={exportFormats[col.name]}
+                    onFormat={(format) => setExportFormats((f) => ({ ...f, [col.name]: format }))}
+                    validator={validators[col.name]}
+                    onApplyValidator={col.kind === "view" ? null : () => applyValidator(col.name)}
+                  />
+                )}
               </div>
             </div>
           ))}
@@ -236,6 +516,162 @@ export default function SchemaViewer() {
   );
 }
 
+const CONFIDENCE_STYLES = {
+  high: "bg-green-500/10 text-green-400 border-green-500/30",
+  medium: "bg-yellow-500/10 text-yellow-400 border-yellow-500/30",
+  low: "bg-red-500/10 text-red-400 border-red-500/30",
+};
+
+const EXPORT_FORMATS = [
+  { id: "jsonschema", label: "$jsonSchema", extension: "json", render: (col) => `${JSON.stringify(toJsonSchema(col), null, 2)}\n` },
+  { id: "mongoose", label: "Mongoose", extension: "js", render: toMongooseSchema },
+  { id: "typescript", label: "TypeScript", extension: "ts", render: toTypeScript },
+];
+
+/**
+ * Inferred schema of one collection as a validator, Mongoose model or
+ * TypeScript interface, with copy/download and applying the validator
+ */
+function SchemaExport({ col, format, onFormat, validator, onApplyValidator }) {
+  const selected = EXPORT_FORMATS.find((f) => f.id === format);
+  const code = selected ? selected.render(col) : "";
+
+  function download() {
+    const url = URL.createObjectURL(new Blob([code], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = selected.id === "jsonschema"
+      ? `${col.name}.validator.json`
+      : `${modelNameFor(col.name)}.${selected.extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h4 className="text-sm font-semibold text-gray-400 mr-2">📤 EXPORT</h4>
+        {EXPORT_FORMATS.map((f) => (
+          <button
+            key={f.id}
+            onClick={() => onFormat(format === f.id ? null : f.id)}
+            className={`px-2 py-1 text-xs rounded border transition ${
+              format === f.id
+                ? "bg-blue-500/30 text-blue-200 border-blue-500/50"
+                : "bg-black/30 text-gray-300 border-neutral-700/50 hover:bg-neutral-800/60"
+            }`}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="bg-black/30 backdrop-blur-md border border-neutral-700/30 rounded-lg">
+          <div className="flex flex-wrap items-center justify-end gap-2 px-3 py-2 border-b border-neutral-700/30">
+            {selected.id === "jsonschema" && onApplyValidator && (
+              <button
+                onClick={onApplyValidator}
+                disabled={validator?.applying}
+                title="collMod with validationLevel: moderate, validationAction: warn"
+                className="px-2 py-1 bg-green-500/20 text-green-300 text-xs rounded border border-green-500/30 hover:bg-green-500/30 transition disabled:opacity-50 mr-auto"
+              >
+                {validator?.applying ? "Applying..." : "🛡️ Apply validator (moderate / warn)"}
+              </button>
+            )}
+            <button
+              onClick={() => navigator.clipboard.writeText(code)}
+              className="px-2 py-1 bg-neutral-800/60 text-gray-300 text-xs rounded hover:bg-neutral-700/60 transition"
+            >
+              📋 Copy
+            </button>
+            <button
+              onClick={download}
+              className="px-2 py-1 bg-neutral-800/60 text-gray-300 text-xs rounded hover:bg-neutral-700/60 transition"
+            >
+              ⬇️ Download
+            </button>
+          </div>
+          {selected.id === "jsonschema" && validator?.applied && (
+            <p className="px-3 pt-2 text-xs text-green-400">
+              ✅ Validator applied ({validator.applied.validationLevel} / {validator.applied.validationAction}). Violations show up in the server log.
+            </p>
+          )}
+          {selected.id === "jsonschema" && validator?.error && (
+            <p className="px-3 pt-2 text-xs text-red-400">{validator.error}</p>
+          )}
+          <pre className="p-3 text-xs text-gray-300 font-mono overflow-x-auto max-h-96">{code}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Readable list of what a snapshot diff contains
+ */
+function DriftDetails({ diff }) {
+  const rows = [
+    ...diff.collections.added.map((name) => ["+", "text-green-400", `collection ${name}`]),
+    ...diff.collections.removed.map((name) => ["−", "text-red-400", `collection ${name}`]),
+    ...diff.renamed.map((r) => ["↻", "text-blue-300", `${r.collection}.${r.from} → ${r.collection}.${r.to} (likely renamed)`]),
+    ...diff.fields.added.map((f) => ["+", "text-green-400", `${f.collection}.${f.field} (${f.types.join(" | ")})`]),
+    ...diff.fields.removed.map((f) => ["−", "text-red-400", `${f.collection}.${f.field} (${f.types.join(" | ")})`]),
+    ...diff.fields.typeChanged.map((f) => ["~", "text-yellow-300", `${f.collection}.${f.field}: ${f.from.join(" | ")} → ${f.to.join(" | ")}`]),
+    ...diff.indexes.added.map((i) => ["+", "text-green-400", `index ${i.collection}.${i.name} [${i.keys.join(", ")}]${i.unique ? " unique" : ""}`]),
+    ...diff.indexes.removed.map((i) => ["−", "text-red-400", `index ${i.collection}.${i.name} [${i.keys.join(", ")}]`]),
+    ...diff.indexes.changed.map((i) => ["~", "text-yellow-300", `index ${i.collection}.${i.name}: [${i.from.keys.join(", ")}] → [${i.to.keys.join(", ")}]${i.to.unique ? " unique" : ""}`]),
+  ];
+
+  return (
+    <div className="space-y-1 font-mono text-sm">
+      {rows.map(([mark, color, text], idx) => (
+        <div key={idx} className={color}>
+          {mark} {text}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * References from this collection and to it from others; SQL foreign keys
+ * are shown the same way
+ */
+function relationshipsOf(col, collections) {
+  const outgoing = (collection) => [
+    ...(collection.references || []).map(ref => ({ ...ref, from: collection.name })),
+    ...(collection.foreignKeys || []).map(fk => ({
+      from: collection.name,
+      field: fk.columns.join(", "),
+      to: fk.references.table,
+      toField: fk.references.columns.join(", "),
+      confidence: "high",
+      evidence: "Foreign key constraint",
+    })),
+  ];
+  const incoming = collections
+    .filter(other => other.name !== col.name)
+    .flatMap(outgoing)
+    .filter(rel => rel.to === col.name)
+    .map(rel => ({ ...rel, incoming: true }));
+  return [...outgoing(col), ...incoming];
+}
+
+/**
+ * "12% null • 34 distinct • 21 – 59" from a fieldStats entry
+ */
+function formatFieldStats(stat) {
+  const parts = [];
+  if (stat.nullRatio > 0) parts.push(`${Math.round(stat.nullRatio * 100)}% null`);
+  parts.push(`${stat.cardinality}${stat.cardinalityCapped ? "+" : ""} distinct`);
+  if (stat.min !== undefined) {
+    const show = (value) => (typeof value === "number" ? value.toLocaleString() : new Date(value).toLocaleDateString());
+    parts.push(`${show(stat.min)} – ${show(stat.max)}`);
+  }
+  return parts.join(" • ");
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return "0 B";
   const k = 1024;
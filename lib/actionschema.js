@@ -0,0 +1,154 @@
+// ============================================================================
+// lib/actionschema.js - JSON Schemas for Generated Actions
+// ============================================================================
+//
+// The same schema is sent to the provider as a structured-output constraint
+// (Ollama `format`, OpenAI-compatible `response_format`) and used to check
+// what comes back, so a model that ignores the constraint still gets precise
+// error paths like `$.options.limit: expected integer, got string`.
+
+const JSON_VALUE = { type: ["string", "number", "boolean", "null"] };
+
+/**
+ * Builds the action schema for a database family
+ * @param {string} dbType - mongodb | postgresql | mysql
+ * @param {string[]} collections - Known collection/table names (may be empty)
+ * @param {Object} options - { readOnly } drops the write action branches
+ * @returns {Object} JSON schema with one anyOf branch per action type
+ */
+export function buildActionSchema(dbType, collections = [], { readOnly = false } = {}) {
+  const actions = readOnly
+    ? ["find", "aggregate"]
+    : ["find", "aggregate", "insert", "update", "delete"];
+
+  const target = collections.length > 0
+    ? { type: "string", enum: collections }
+    : { type: "string", minLength: 1 };
+
+  if (dbType !== "mongodb") {
+    return {
+      anyOf: actions.map(action => ({
+        type: "object",
+        properties: {
+          action: { type: "string", enum: [action] },
+          table: target,
+          sql: { type: "string", minLength: 1 },
+          params: { type: "array", items: JSON_VALUE },
+          limit: { type: "integer", minimum: 1 },
+        },
+        required: ["action", "table", "sql", "params"],
+        additionalProperties: false,
+      })),
+    };
+  }
+
+  const variant = (action, properties, required = []) => ({
+    type: "object",
+    properties: {
+      action: { type: "string", enum: [action] },
+      collection: target,
+      ...properties,
+    },
+    required: ["action", "collection", ...required],
+    additionalProperties: false,
+  });
+
+  const variants = [
+    variant("find", {
+      query: { type: "object" },
+      options: {
+        type: "object",
+        properties: {
+          limit: { type: "integer", minimum: 1 },
+          skip: { type: "integer", minimum: 0 },
+          sort: { type: "object", additionalProperties: { type: "integer", enum: [1, -1] } },
+          projection: { type: "object" },
+        },
+        additionalProperties: false,
+      },
+    }),
+    variant("aggregate", {
+      pipeline: { type: "array", items: { type: "object" } },
+    }, ["pipeline"]),
+    variant("insert", {
+      insert: { type: ["object", "array"], items: { type: "object" } },
+    }, ["insert"]),
+    variant("update", {
+      query: { type: "object" },
+      update: { type: "object" },
+    }, ["query", "update"]),
+    variant("delete", {
+      query: { type: "object" },
+    }, ["query"]),
+  ];
+
+  return {
+    anyOf: variants.filter(branch => actions.includes(branch.properties.action.enum[0])),
+  };
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used above
+ * @returns {string[]} Errors, each prefixed with the JSON path of the value
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(branch => validateAgainstSchema(value, branch, path));
+    if (results.some(errors => errors.length === 0)) return [];
+
+    // Report the branch for the action the model picked, not all of them
+    const picked = schema.anyOf.findIndex(branch =>
+      branch.properties?.action?.enum?.includes(value?.action));
+    if (picked !== -1) return results[picked];
+
+    const actions = schema.anyOf.flatMap(branch => branch.properties?.action?.enum || []);
+    return [`${path}.action: expected one of ${actions.join(", ")}, got ${JSON.stringify(value?.action)}`];
+  }
+
+  const type = typeOf(value);
+  const allowed = [].concat(schema.type || []);
+  if (allowed.length > 0 && !allowed.includes(type) && !(type === "integer" && allowed.includes("number"))) {
+    return [`${path}: expected ${allowed.join(" or ")}, got ${type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+  if (schema.minLength !== undefined && typeof value === "string" && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: unexpected property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (type === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
@@ -0,0 +1,92 @@
+// ============================================================================
+// lib/adapters/index.js - Database Adapter Registry
+// ============================================================================
+//
+// Every adapter is a plain object with the same shape:
+//
+//   dbType      "mongodb" | "postgresql" | "mysql" ...
+//   label       Human-readable name for the UI
+//   schemes     URI schemes it handles ("postgres", "postgresql", ...)
+//   connect     (uri, { max }) => pool, cached per connection by ./pool
+//   acquire     (pool) => client checked out of the pool
+//   release     (client, broken) => void; broken clients are discarded
+//   poolStats   (pool) => { size, inUse, waiting?, max }
+//   introspect  (client) => metadata (collections, fields, indexes, ...)
+//   validate    (action) => { valid, errors }
+//   execute     (client, action) => { result, metadata }
+//   explain     (client, action) => query plan, without running the action
+//   dryRun      (client, action) => { matchedCount, samples: [{ before, after?,
+//               changes? }], note? } for update/delete, without writing
+//   undo        { capture, readImages, restore } for snapshotting pre-images
+//               before update/delete and putting them back, or null
+//   applyValidator (client, collection, validator, { validationLevel,
+//               validationAction }) => result, or null without validators
+//   deserialize (action) => action with wire values (Extended JSON) turned
+//               into driver types, before validate/execute/explain
+//   serialize   (result) => JSON-safe result (Extended JSON for BSON types)
+//   close       (pool) => void
+//
+// Supporting a new database means adding an adapter here; routes only ever
+// talk to getAdapter()/withConnection()/acquireConnection().
+
+import { mongodbAdapter } from "./mongodb";
+import { postgresAdapter } from "./postgres";
+import { mysqlAdapter } from "./mysql";
+import { acquire } from "./pool";
+
+export { getPoolStats, closePool } from "./pool";
+
+const adapters = [mongodbAdapter, postgresAdapter, mysqlAdapter];
+
+/**
+ * Picks the adapter for a connection URI from its scheme
+ * @param {string} uri - Connection URI
+ * @returns {Object} Adapter
+ */
+export function getAdapter(uri) {
+  if (!uri) throw new Error("Database URI required");
+  const scheme = uri.slice(0, Math.max(uri.indexOf(":"), 0)).toLowerCase();
+  const adapter = adapters.find((a) => a.schemes.includes(scheme));
+  if (!adapter) {
+    const supported = adapters.flatMap((a) => a.schemes).map((s) => `${s}://`).join(", ");
+    throw new Error(`Unsupported URI scheme. Use one of: ${supported}`);
+  }
+  return adapter;
+}
+
+/**
+ * Looks an adapter up by dbType (for requests that carry no URI)
+ */
+export function getAdapterForType(dbType) {
+  const adapter = adapters.find((a) => a.dbType === dbType);
+  if (!adapter) throw new Error(`Unsupported database type: ${dbType}`);
+  return adapter;
+}
+
+/**
+ * Checks a pooled client out for a URI; the caller must release it
+ * @param {string} uri - Connection URI
+ * @returns {Promise<Object>} { client, adapter, release(error?) }
+ */
+export async function acquireConnection(uri) {
+  const adapter = getAdapter(uri);
+  const lease = await acquire(uri, adapter);
+  return { ...lease, adapter };
+}
+
+/**
+ * Hands a pooled client to fn and always returns it to the pool afterwards
+ * @param {string} uri - Connection URI
+ * @param {Function} fn - async (client, adapter) => any
+ */
+export async function withConnection(uri, fn) {
+  const { client, adapter, release } = await acquireConnection(uri);
+  try {
+    const result = await fn(client, adapter);
+    release();
+    return result;
+  } catch (error) {
+    release(error);
+    throw error;
+  }
+}
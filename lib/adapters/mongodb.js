@@ -0,0 +1,517 @@
+// ============================================================================
+// lib/adapters/mongodb.js - MongoDB Adapter
+// ============================================================================
+
+import { BSON } from "mongodb";
+import { getNativeMongoClient } from "../db";
+import { validateAction } from "../debug";
+import { EJSON_TYPE_KEYS } from "../querypolicy";
+import { inferSchema, schemaConfidence } from "../inferschema";
+import { applyUpdate, diffDocuments } from "../dryrun";
+import { inferReferences } from "../relationships";
+
+const DRY_RUN_SAMPLES = 5;
+
+// Schema discovery sampling
+//   SCHEMA_SAMPLE_SIZE    Documents sampled per collection (default 100)
+//   SCHEMA_SAMPLE_NEWEST  How many of those are the newest documents (default 20)
+const SAMPLE_SIZE = parseInt(process.env.SCHEMA_SAMPLE_SIZE, 10) || 100;
+const SAMPLE_NEWEST = Math.min(parseInt(process.env.SCHEMA_SAMPLE_NEWEST, 10) || 20, SAMPLE_SIZE);
+
+export const mongodbAdapter = {
+  dbType: "mongodb",
+  label: "MongoDB",
+  schemes: ["mongodb", "mongodb+srv"],
+  // A MongoClient is already a pool; acquire hands out the client itself
+  connect: openPool,
+  acquire: (client) => client.connect(), // No-op when connected, reconnects a closed client
+  release: () => {},
+  poolStats: (client) => ({ ...poolCounters.get(client) }),
+  introspect,
+  validate: (action) => validateAction(action),
+  execute,
+  explain,
+  dryRun,
+  undo: {
+    capture: captureUndo,
+    readImages,
+    restore: restoreUndo,
+  },
+  applyValidator,
+  deserialize,
+  serialize: (result) => BSON.EJSON.serialize(result, { relaxed: true }),
+  close: (client) => client.close(),
+};
+
+const poolCounters = new WeakMap();
+
+/**
+ * Connected client with checkout counters for pool stats
+ */
+async function openPool(uri, { max } = {}) {
+  const client = await getNativeMongoClient(uri, { maxPoolSize: max });
+  const counters = { size: 0, inUse: 0, max: max || 100 };
+  client.on("connectionCreated", () => { counters.size += 1; });
+  client.on("connectionClosed", () => { counters.size = Math.max(counters.size - 1, 0); });
+  client.on("connectionCheckedOut", () => { counters.inUse += 1; });
+  client.on("connectionCheckedIn", () => { counters.inUse = Math.max(counters.inUse - 1, 0); });
+  poolCounters.set(client, counters);
+  return client;
+}
+
+/**
+ * Scans every collection and returns schema information
+ * @param {MongoClient} client - Connected client
+ * @returns {Promise<Object>} Database metadata
+ */
+async function introspect(client) {
+  console.log("🔍 Starting database introspection...");
+
+  const db = client.db();
+
+  // Get all collection names
+  const collections = await db.listCollections().toArray();
+  console.log(`📂 Found ${collections.length} collections`);
+
+  const dbInfo = [];
+  const samples = new Map();
+
+  for (const col of collections) {
+    try {
+      const collection = db.collection(col.name);
+
+      // Get collection stats (use countDocuments instead of stats)
+      const count = await collection.countDocuments();
+
+      // Random + newest documents so recently added fields show up
+      const sampleDocs = await sampleDocuments(collection, count);
+      samples.set(col.name, sampleDocs);
+
+      // Get indexes (views have none)
+      const indexes = col.type === "view" ? [] : await collection.indexes();
+
+      // Sizes, capped/time-series/view status
+      const stats = await collectionStats(db, col);
+
+      // Infer schema from sample documents
+      const schema = inferSchema(sampleDocs);
+
+      dbInfo.push({
+        name: col.name,
+        fields: schema.fields,
+        fieldTypes: schema.fieldTypes,
+        sampleValues: schema.sampleValues,
+        occurrence: schema.occurrence,
+        arrayTypes: schema.arrayTypes,
+        typeDistribution: schema.typeDistribution,
+        fieldStats: schema.fieldStats,
+        sampleSize: schema.sampleSize,
+        confidence: schemaConfidence(schema.sampleSize, count),
+        indexes: indexes.map(idx => ({
+          name: idx.name,
+          keys: Object.keys(idx.key),
+          unique: idx.unique || false,
+          size: stats.indexSizes[idx.name] || 0
+        })),
+        documentCount: count,
+        validation: col.options?.validator ? {
+          level: col.options.validationLevel || "strict",
+          action: col.options.validationAction || "error"
+        } : null,
+        ...stats
+      });
+
+      console.log(`  ✅ ${col.name}: ${count} documents, ${schema.fields.length} fields (sampled ${schema.sampleSize})`);
+    } catch (err) {
+      console.error(`  ❌ Failed to analyze ${col.name}:`, err.message);
+    }
+  }
+
+  // userId → users._id and the like, checked against the referenced collection
+  const references = await inferReferences(dbInfo, samples, (name, values) =>
+    db.collection(name).countDocuments({ _id: { $in: referenceIds(values) } })
+  );
+  dbInfo.forEach(col => { col.references = references[col.name] || []; });
+
+  console.log("✅ Database introspection complete");
+
+  return {
+    dbType: "mongodb",
+    collections: dbInfo,
+    totalCollections: dbInfo.length,
+    totalDocuments: dbInfo.reduce((sum, c) => sum + c.documentCount, 0),
+    scannedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Storage statistics for one listCollections() entry, from $collStats with
+ * the collStats command as a fallback for servers/roles without it
+ * @returns {Promise<Object>} { kind, capped, viewOn?, timeseries?, dataSize, storageSize,
+ *   avgDocSize, totalIndexSize, indexSizes, statsError? } - sizes in bytes
+ */
+async function collectionStats(db, col) {
+  const info = {
+    kind: col.type || "collection", // collection | view | timeseries
+    capped: !!col.options?.capped,
+    dataSize: 0,
+    storageSize: 0,
+    avgDocSize: 0,
+    totalIndexSize: 0,
+    indexSizes: {},
+  };
+  if (col.options?.timeseries) info.timeseries = col.options.timeseries;
+  // Views store nothing of their own
+  if (info.kind === "view") return { ...info, viewOn: col.options?.viewOn };
+
+  let storage;
+  try {
+    // One document per shard on a sharded cluster
+    const shards = await db.collection(col.name).aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+    storage = shards.map(shard => shard.storageStats).reduce(mergeStorageStats, null);
+  } catch (aggregateErr) {
+    try {
+      storage = await db.command({ collStats: col.name });
+    } catch (commandErr) {
+      console.warn(`  ⚠️ No storage stats for ${col.name}: ${commandErr.message || aggregateErr.message}`);
+      return { ...info, statsError: commandErr.message || aggregateErr.message };
+    }
+  }
+  if (!storage) return info;
+
+  return {
+    ...info,
+    capped: info.capped || !!storage.capped,
+    dataSize: Number(storage.size || 0),
+    storageSize: Number(storage.storageSize || 0),
+    avgDocSize: Number(storage.avgObjSize || 0),
+    totalIndexSize: Number(storage.totalIndexSize || 0),
+    indexSizes: Object.fromEntries(Object.entries(storage.indexSizes || {}).map(([name, size]) => [name, Number(size)])),
+  };
+}
+
+function mergeStorageStats(total, shard) {
+  if (!shard) return total;
+  if (!total) return { ...shard, indexSizes: { ...shard.indexSizes } };
+  const indexSizes = { ...total.indexSizes };
+  Object.entries(shard.indexSizes || {}).forEach(([name, size]) => {
+    indexSizes[name] = Number(indexSizes[name] || 0) + Number(size);
+  });
+  const count = Number(total.count || 0) + Number(shard.count || 0);
+  const size = Number(total.size || 0) + Number(shard.size || 0);
+  return {
+    ...total,
+    count,
+    size,
+    storageSize: Number(total.storageSize || 0) + Number(shard.storageSize || 0),
+    totalIndexSize: Number(total.totalIndexSize || 0) + Number(shard.totalIndexSize || 0),
+    avgObjSize: count > 0 ? Math.round(size / count) : 0,
+    indexSizes,
+  };
+}
+
+/**
+ * Reference values as stored, plus ObjectIds for hex strings that point at them
+ */
+function referenceIds(values) {
+  const ids = [...values];
+  values.forEach(value => {
+    if (typeof value === "string" && /^[a-f0-9]{24}$/i.test(value)) ids.push(new BSON.ObjectId(value));
+  });
+  return ids;
+}
+
+/**
+ * Picks documents for schema inference. Small collections are read whole;
+ * larger ones get a $sample of random documents plus the newest ones by _id,
+ * since find().limit() alone only ever sees the oldest documents.
+ * @param {Collection} collection - Collection (or view) to sample
+ * @param {number} count - Its document count
+ * @param {number} size - Documents wanted (default SCHEMA_SAMPLE_SIZE)
+ * @returns {Promise<Array>} Distinct sampled documents
+ */
+export async function sampleDocuments(collection, count, size = SAMPLE_SIZE) {
+  if (count <= size) {
+    return collection.find({}).limit(size).toArray();
+  }
+
+  const newestSize = Math.min(SAMPLE_NEWEST, size);
+  const [newest, random] = await Promise.all([
+    collection.find({}).sort({ _id: -1 }).limit(newestSize).toArray(),
+    collection.aggregate([{ $sample: { size: size - newestSize } }]).toArray(),
+  ]);
+
+  // $sample may return documents that are also among the newest
+  const seen = new Set();
+  return [...newest, ...random].filter(doc => {
+    if (doc._id === undefined) return true;
+    const id = BSON.EJSON.stringify(doc._id, { relaxed: false });
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * Runs a validated action against its collection
+ * @param {MongoClient} client - Connected client
+ * @param {Object} action - { action, collection, query, options, pipeline, insert, update }
+ * @returns {Promise<Object>} { result, metadata }
+ */
+async function execute(client, action) {
+  normalizeSort(action);
+
+  const col = client.db().collection(action.collection);
+
+  let result;
+  let resultMetadata = {
+    action: action.action,
+    collection: action.collection,
+    projectionUsed: false,
+    fieldsReturned: []
+  };
+
+  if (action.action === "find") {
+    const limit = (action.options && action.options.limit) || 100;
+    const sort = (action.options && action.options.sort) || {};
+    const skip = (action.options && action.options.skip) || 0;
+    const projection = (action.options && action.options.projection) || null;
+
+    // Build find query
+    let cursor = col.find(action.query || {});
+
+    // Apply skip if specified
+    if (skip > 0) {
+      cursor = cursor.skip(skip);
+      resultMetadata.skipped = skip;
+    }
+
+    // Apply projection if specified
+    if (projection && Object.keys(projection).length > 0) {
+      cursor = cursor.project(projection);
+      resultMetadata.projectionUsed = true;
+      resultMetadata.fieldsReturned = Object.keys(projection).filter(k => projection[k] === 1);
+    }
+
+    result = await cursor.sort(sort).limit(limit).toArray();
+  }
+  else if (action.action === "aggregate") {
+    const pipeline = action.pipeline || [];
+    result = await col.aggregate(pipeline).toArray();
+  }
+  else if (action.action === "insert") {
+    const payload = Array.isArray(action.insert) ? action.insert : [action.insert];
+    const res = await col.insertMany(payload);
+    result = { insertedIds: res.insertedIds, insertedCount: res.insertedCount };
+  }
+  else if (action.action === "update") {
+    const query = action.query || {};
+    const updateDoc = action.update || {};
+    const res = await col.updateMany(query, updateDoc);
+    result = { matchedCount: res.matchedCount, modifiedCount: res.modifiedCount, upsertedCount: res.upsertedCount };
+  }
+  else if (action.action === "delete") {
+    const query = action.query || {};
+
+    // Safety check - prevent full collection deletes
+    if (!query || Object.keys(query).length === 0) {
+      throw new Error("Delete operation requires a query condition. Cannot delete entire collection.");
+    }
+
+    const res = await col.deleteMany(query);
+    result = { deletedCount: res.deletedCount };
+  }
+  else {
+    throw new Error(`Unsupported action: ${action.action}`);
+  }
+
+  return { result, metadata: resultMetadata };
+}
+
+/**
+ * Returns the query planner output for an action without running it
+ */
+async function explain(client, action) {
+  const db = client.db();
+  const col = db.collection(action.collection);
+  const options = action.options || {};
+
+  if (action.action === "find") {
+    return col.find(action.query || {}, { projection: options.projection })
+      .sort(options.sort || {})
+      .skip(options.skip || 0)
+      .limit(options.limit || 100)
+      .explain("queryPlanner");
+  }
+  if (action.action === "aggregate") {
+    return col.aggregate(action.pipeline || []).explain("queryPlanner");
+  }
+  if (action.action === "update") {
+    return db.command({
+      explain: { update: action.collection, updates: [{ q: action.query || {}, u: action.update || {}, multi: true }] },
+      verbosity: "queryPlanner",
+    });
+  }
+  if (action.action === "delete") {
+    return db.command({
+      explain: { delete: action.collection, deletes: [{ q: action.query || {}, limit: 0 }] },
+      verbosity: "queryPlanner",
+    });
+  }
+  return { note: `No query plan for ${action.action}` };
+}
+
+/**
+ * Counts and samples the documents an update/delete would touch; for updates
+ * the samples get a simulated "after" and a field-level diff
+ * @returns {Promise<Object>} { matchedCount, samples: [{ before, after?, changes? }], note? }
+ */
+async function dryRun(client, action) {
+  const col = client.db().collection(action.collection);
+  const query = action.query || {};
+
+  const matchedCount = await col.countDocuments(query);
+  const docs = await col.find(query).limit(DRY_RUN_SAMPLES).toArray();
+  const before = docs.map(doc => BSON.EJSON.serialize(doc, { relaxed: true }));
+
+  if (action.action !== "update") {
+    return { matchedCount, samples: before.map(doc => ({ before: doc })) };
+  }
+
+  const update = BSON.EJSON.serialize(action.update || {}, { relaxed: true });
+  try {
+    const samples = before.map(doc => {
+      const after = applyUpdate(doc, update);
+      return { before: doc, after, changes: diffDocuments(doc, after) };
+    });
+    return { matchedCount, samples };
+  } catch (error) {
+    return { matchedCount, samples: before.map(doc => ({ before: doc })), note: error.message };
+  }
+}
+
+/**
+ * Snapshots the full pre-images of the documents an update/delete matches and
+ * narrows the action to exactly those _ids, so the undo entry covers every
+ * document the write touches and nothing else
+ * @returns {Promise<Object>} { action, ids, preImages } or { skipped } when too many match
+ */
+async function captureUndo(client, action, maxDocs) {
+  const col = client.db().collection(action.collection);
+  const query = action.query || {};
+
+  const count = await col.countDocuments(query);
+  if (count > maxDocs) {
+    return { skipped: `${count} documents match; undo keeps at most ${maxDocs}` };
+  }
+
+  const docs = await col.find(query).toArray();
+  const ids = docs.map(doc => doc._id);
+
+  return {
+    action: { ...action, query: { $and: [query, { _id: { $in: ids } }] } },
+    ids,
+    preImages: docs.map(doc => BSON.EJSON.serialize(doc, { relaxed: false })),
+  };
+}
+
+/**
+ * Current state of documents as canonical Extended JSON (post-images)
+ */
+async function readImages(client, collection, ids) {
+  const docs = await client.db().collection(collection).find({ _id: { $in: ids } }).toArray();
+  return docs.map(doc => BSON.EJSON.serialize(doc, { relaxed: false }));
+}
+
+/**
+ * Puts pre-images back. A document that changed since the write (or, for a
+ * delete, one that exists again) is a conflict and is left alone unless forced.
+ * @param {Object} entry - Stored undo entry
+ * @param {Object} options - { force } overwrites conflicting documents
+ * @returns {Promise<Object>} { restored, conflicts: [{ _id, reason }] }
+ */
+async function restoreUndo(client, entry, { force = false } = {}) {
+  const col = client.db().collection(entry.collection);
+  const postImages = new Map((entry.postImages || []).map(doc => [JSON.stringify(doc._id), doc]));
+  const conflicts = [];
+  let restored = 0;
+
+  for (const image of entry.preImages) {
+    const doc = BSON.EJSON.deserialize(image, { relaxed: false });
+    const current = await col.findOne({ _id: doc._id });
+    const id = BSON.EJSON.serialize(doc._id, { relaxed: true });
+
+    if (!force) {
+      if (entry.action.action === "delete" && current) {
+        conflicts.push({ _id: id, reason: "A document with this _id exists again" });
+        continue;
+      }
+      if (entry.action.action === "update") {
+        const expected = postImages.get(JSON.stringify(image._id));
+        if (!current) {
+          conflicts.push({ _id: id, reason: "Deleted since the update" });
+          continue;
+        }
+        if (expected && JSON.stringify(BSON.EJSON.serialize(current, { relaxed: false })) !== JSON.stringify(expected)) {
+          conflicts.push({ _id: id, reason: "Changed since the update" });
+          continue;
+        }
+      }
+    }
+
+    if (current) await col.replaceOne({ _id: doc._id }, doc);
+    else await col.insertOne(doc);
+    restored += 1;
+  }
+
+  return { restored, conflicts };
+}
+
+/**
+ * Sets a collection's validator with collMod. "moderate" leaves existing
+ * invalid documents alone on update, "warn" only logs violations.
+ * @param {Object} validator - e.g. { $jsonSchema: {...} }
+ * @param {Object} options - { validationLevel, validationAction }
+ * @returns {Promise<Object>} { collection, validationLevel, validationAction }
+ */
+async function applyValidator(client, collection, validator, { validationLevel = "moderate", validationAction = "warn" } = {}) {
+  await client.db().command({ collMod: collection, validator, validationLevel, validationAction });
+  return { collection, validationLevel, validationAction };
+}
+
+/**
+ * Turns Extended JSON values ({"$oid": ...}, {"$date": ...}) in an action into
+ * driver types. Only exact type wrappers are converted so query operators such
+ * as {"$regex", "$options"} stay untouched.
+ * @param {Object} action - Action as received from the client
+ * @returns {Object} Copy of the action with ObjectId/Date/Decimal128 values
+ */
+function deserialize(action) {
+  const convert = (value) => {
+    if (Array.isArray(value)) return value.map(convert);
+    if (!value || typeof value !== "object") return value;
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && EJSON_TYPE_KEYS.includes(keys[0])) {
+      return BSON.EJSON.deserialize(value, { relaxed: false });
+    }
+    return Object.fromEntries(keys.map(key => [key, convert(value[key])]));
+  };
+
+  return convert(action);
+}
+
+/**
+ * Sort values must be 1 or -1; anything else the model emits becomes 1
+ */
+function normalizeSort(action) {
+  const sortObj = action.options?.sort;
+  if (!sortObj) return;
+
+  Object.entries(sortObj).forEach(([field, value]) => {
+    if (value !== 1 && value !== -1) {
+      console.warn(`⚠️ Auto-fixing sort value for "${field}": was ${value}, now 1`);
+      sortObj[field] = 1;
+    }
+  });
+}
@@ -0,0 +1,249 @@
+// ============================================================================
+// lib/adapters/mysql.js - MySQL / MariaDB Adapter
+// ============================================================================
+
+import { getMysqlPool } from "../db";
+import { validateSqlAction } from "../debug";
+import { groupForeignKeys, sampleRowValues, clampLimit, capLimitClause, trimStatement, buildSqlDryRun, splitDryRunRows } from "./sql";
+
+const MAX_ROWS = 1000;
+const STATEMENT_TIMEOUT_MS = 15000;
+const DRY_RUN_SAMPLES = 5;
+
+export const mysqlAdapter = {
+  dbType: "mysql",
+  label: "MySQL",
+  schemes: ["mysql", "mariadb"],
+  connect: openPool,
+  acquire: (pool) => pool.getConnection(),
+  // A broken connection is destroyed instead of going back into the pool
+  release: (conn, broken) => (broken ? conn.destroy() : conn.release()),
+  poolStats: (pool) => ({ ...poolCounters.get(pool) }),
+  introspect,
+  validate: (action) => validateSqlAction(action, "mysql"),
+  execute,
+  explain,
+  dryRun,
+  // Pre-image capture needs a primary key per row; not supported yet
+  undo: null,
+  // Schemas are enforced by the tables themselves
+  applyValidator: null,
+  // Rows are already plain JSON values
+  deserialize: (action) => action,
+  serialize: (result) => result,
+  close: (pool) => pool.end(),
+};
+
+const poolCounters = new WeakMap();
+
+function openPool(uri, { max = 5 } = {}) {
+  const pool = getMysqlPool(uri, { max });
+  const counters = { size: 0, inUse: 0, max };
+  pool.on("connection", () => { counters.size += 1; });
+  pool.on("acquire", () => { counters.inUse += 1; });
+  pool.on("release", () => { counters.inUse = Math.max(counters.inUse - 1, 0); });
+  poolCounters.set(pool, counters);
+  return pool;
+}
+
+/**
+ * Scans the MySQL database named in the URI and returns schema information
+ * in the same shape as the MongoDB adapter
+ * @param {Connection} conn - Connected mysql2 connection
+ * @returns {Promise<Object>} Database metadata
+ */
+async function introspect(conn) {
+  console.log("🔍 Starting MySQL introspection...");
+
+  const [tables] = await conn.query(
+    `SELECT TABLE_NAME AS table_name, TABLE_TYPE AS table_type, TABLE_ROWS AS estimate,
+            AVG_ROW_LENGTH AS avg_row_length, DATA_LENGTH AS data_length, INDEX_LENGTH AS index_length
+       FROM information_schema.TABLES
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+      ORDER BY TABLE_NAME`
+  );
+  console.log(`📂 Found ${tables.length} tables`);
+
+  const [columns] = await conn.query(
+    `SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name, DATA_TYPE AS data_type,
+            IS_NULLABLE AS is_nullable, COLUMN_KEY AS column_key
+       FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME, ORDINAL_POSITION`
+  );
+
+  const [indexes] = await conn.query(
+    `SELECT TABLE_NAME AS table_name, INDEX_NAME AS index_name, NON_UNIQUE AS non_unique,
+            COLUMN_NAME AS column_name
+       FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`
+  );
+
+  const [foreignKeys] = await conn.query(
+    `SELECT TABLE_NAME AS table_name, CONSTRAINT_NAME AS constraint_name, COLUMN_NAME AS column_name,
+            REFERENCED_TABLE_NAME AS foreign_table, REFERENCED_COLUMN_NAME AS foreign_column
+       FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME IS NOT NULL
+      ORDER BY CONSTRAINT_NAME, ORDINAL_POSITION`
+  );
+
+  const dbInfo = [];
+
+  for (const table of tables) {
+    const name = table.table_name;
+    const belongs = (row) => row.table_name === name;
+
+    try {
+      const tableColumns = columns.filter(belongs);
+      const fields = tableColumns.map((c) => c.column_name);
+      const fieldTypes = {};
+      tableColumns.forEach((c) => {
+        fieldTypes[c.column_name] = c.is_nullable === "YES" ? [c.data_type, "null"] : [c.data_type];
+      });
+
+      const tableIndexes = groupIndexes(indexes.filter(belongs));
+      const primary = tableIndexes.find((idx) => idx.name === "PRIMARY");
+
+      // TABLE_ROWS is an InnoDB estimate and NULL for views
+      let count = table.estimate === null ? null : Number(table.estimate);
+      if (count === null) {
+        const [rows] = await conn.query(`SELECT COUNT(*) AS n FROM ${quoteIdent(name)}`);
+        count = Number(rows[0].n);
+      }
+      const storageSize = Number(table.data_length || 0) + Number(table.index_length || 0);
+
+      const [sampleRows] = await conn.query(`SELECT * FROM ${quoteIdent(name)} LIMIT 5`);
+
+      dbInfo.push({
+        name,
+        type: table.table_type === "VIEW" ? "view" : "table",
+        fields,
+        fieldTypes,
+        sampleValues: sampleRowValues(sampleRows, fields),
+        primaryKey: primary ? primary.keys : [],
+        foreignKeys: groupForeignKeys(foreignKeys.filter(belongs)),
+        indexes: tableIndexes,
+        documentCount: count,
+        avgDocSize: Number(table.avg_row_length || 0),
+        storageSize,
+      });
+
+      console.log(`  ✅ ${name}: ~${count} rows, ${fields.length} columns`);
+    } catch (err) {
+      console.error(`  ❌ Failed to analyze ${name}:`, err.message);
+    }
+  }
+
+  console.log("✅ MySQL introspection complete");
+
+  return {
+    dbType: "mysql",
+    collections: dbInfo,
+    totalCollections: dbInfo.length,
+    totalDocuments: dbInfo.reduce((sum, c) => sum + c.documentCount, 0),
+    scannedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Executes a validated SQL action as a server-side prepared statement.
+ * Reads run inside a READ ONLY transaction so a SELECT can never write
+ * @param {Connection} conn - Connected mysql2 connection
+ * @param {Object} action - Action produced by the AI (see validateSqlAction)
+ * @returns {Promise<Object>} { result, metadata }
+ */
+async function execute(conn, action) {
+  const isRead = action.action === "find" || action.action === "aggregate";
+  let sql = trimStatement(action.sql);
+  let params = action.params || [];
+
+  // MySQL rejects duplicate column names in derived tables, so instead of
+  // wrapping the query its own LIMIT is capped (or one appended)
+  if (action.action === "find") {
+    ({ sql, params } = capLimitClause(sql, params, clampLimit(action.limit, 100, MAX_ROWS), "mysql"));
+  }
+
+  try {
+    await setStatementTimeout(conn);
+    await conn.query(isRead ? "START TRANSACTION READ ONLY" : "START TRANSACTION");
+    const [res, fields] = await conn.execute(sql, params);
+    await conn.query("COMMIT");
+
+    const metadata = {
+      action: action.action,
+      table: action.table,
+      fieldsReturned: fields ? fields.map((f) => f.name) : [],
+    };
+
+    let result;
+    if (isRead) result = res;
+    else if (action.action === "insert") result = { insertedCount: res.affectedRows, insertedId: res.insertId || undefined };
+    else if (action.action === "update") result = { matchedCount: res.affectedRows, modifiedCount: res.changedRows ?? res.affectedRows };
+    else result = { deletedCount: res.affectedRows };
+
+    return { result, metadata };
+  } catch (error) {
+    await conn.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Counts and samples the rows an UPDATE/DELETE would touch, inside a
+ * read-only transaction
+ */
+async function dryRun(conn, action) {
+  const { countSql, sampleSql, assignments } = buildSqlDryRun(action, "mysql", DRY_RUN_SAMPLES);
+  const params = action.params || [];
+
+  try {
+    await setStatementTimeout(conn);
+    await conn.query("START TRANSACTION READ ONLY");
+    const [countRows] = await conn.execute(countSql, params);
+    const [sampleRows] = await conn.execute(sampleSql, params);
+    await conn.query("COMMIT");
+
+    return { matchedCount: Number(countRows[0].count), samples: splitDryRunRows(sampleRows, assignments) };
+  } catch (error) {
+    await conn.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * EXPLAIN plans the statement without running it
+ */
+async function explain(conn, action) {
+  const [rows] = await conn.query(`EXPLAIN FORMAT=JSON ${trimStatement(action.sql)}`, action.params || []);
+  return JSON.parse(rows[0].EXPLAIN);
+}
+
+/**
+ * MySQL calls it max_execution_time (ms), MariaDB max_statement_time (s)
+ */
+async function setStatementTimeout(conn) {
+  try {
+    await conn.query(`SET SESSION max_execution_time = ${STATEMENT_TIMEOUT_MS}`);
+  } catch {
+    await conn.query(`SET SESSION max_statement_time = ${STATEMENT_TIMEOUT_MS / 1000}`).catch(() => {});
+  }
+}
+
+/**
+ * Collapse per-column STATISTICS rows into one entry per index
+ */
+function groupIndexes(rows) {
+  const byName = new Map();
+  rows.forEach((row) => {
+    if (!byName.has(row.index_name)) {
+      byName.set(row.index_name, { name: row.index_name, keys: [], unique: Number(row.non_unique) === 0 });
+    }
+    byName.get(row.index_name).keys.push(row.column_name);
+  });
+  return Array.from(byName.values());
+}
+
+function quoteIdent(ident) {
+  return `\`${ident.replace(/`/g, "``")}\``;
+}
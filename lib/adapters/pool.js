@@ -0,0 +1,143 @@
+// ============================================================================
+// lib/adapters/pool.js - Connection Manager
+// ============================================================================
+//
+// Keeps one pool per connection (keyed like connectionKey(), never by the
+// URI) so requests reuse warm sockets instead of paying a TLS/auth handshake
+// each time. Pools idle for POOL_IDLE_MS are closed; a pool that can no
+// longer hand out connections is dropped and reopened once.
+//
+//   POOL_IDLE_MS   Close pools unused for this long (default 10 minutes)
+//   POOL_MAX_SIZE  Connections per pool (default 5)
+
+import { createHash } from "crypto";
+
+const IDLE_MS = parseInt(process.env.POOL_IDLE_MS, 10) || 10 * 60 * 1000;
+const MAX_SIZE = parseInt(process.env.POOL_MAX_SIZE, 10) || 5;
+const SWEEP_MS = Math.min(IDLE_MS, 60 * 1000);
+
+// Errors that mean the socket is gone, not that the query was wrong
+const CONNECTION_ERRORS = /ECONNRESET|EPIPE|ETIMEDOUT|ECONNREFUSED|PROTOCOL_CONNECTION_LOST|Connection terminated|MongoNetworkError|server closed the connection/i;
+
+// Survives dev-server module reloads, which would otherwise leak pools
+const pools = global.dbConnectionPools || (global.dbConnectionPools = new Map());
+const opening = new Map();
+let sweeper = null;
+
+/**
+ * Checks a client out of the pool for a URI, opening the pool if needed
+ * @param {string} uri - Connection URI
+ * @param {Object} adapter - Adapter for the URI
+ * @returns {Promise<Object>} { client, release(error?) } - release exactly once
+ */
+export async function acquire(uri, adapter) {
+  startSweeper();
+  const key = poolKey(uri);
+  let entry = await getEntry(key, uri, adapter);
+  let client;
+
+  try {
+    client = await adapter.acquire(entry.pool);
+  } catch (error) {
+    // Server restarted, pool ended, credentials rotated... reopen once
+    console.warn(`♻️ Reopening ${adapter.label} pool ${key}: ${error.message}`);
+    const reconnects = entry.reconnects + 1;
+    await evict(key);
+    entry = await getEntry(key, uri, adapter);
+    entry.reconnects = reconnects;
+    try {
+      client = await adapter.acquire(entry.pool);
+    } catch (retryError) {
+      await evict(key);
+      throw retryError;
+    }
+  }
+
+  entry.inUse += 1;
+  entry.acquired += 1;
+  entry.lastUsedAt = Date.now();
+
+  let released = false;
+  return {
+    client,
+    release: (error = null) => {
+      if (released) return;
+      released = true;
+      entry.inUse -= 1;
+      entry.lastUsedAt = Date.now();
+      adapter.release(client, !!error && CONNECTION_ERRORS.test(`${error.code || ""} ${error.name || ""} ${error.message || ""}`));
+    },
+  };
+}
+
+/**
+ * Closes the pool for a URI (e.g. when its saved connection is deleted)
+ */
+export async function closePool(uri) {
+  await evict(poolKey(uri));
+}
+
+/**
+ * One row per open pool; no URIs
+ * @returns {Object[]} [{ connection, dbType, createdAt, lastUsedAt, idleMs, inUse, acquired, reconnects, pool }]
+ */
+export function getPoolStats() {
+  const now = Date.now();
+  return Array.from(pools.entries()).map(([key, entry]) => ({
+    connection: key,
+    dbType: entry.adapter.dbType,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+    idleMs: entry.inUse > 0 ? 0 : now - entry.lastUsedAt,
+    inUse: entry.inUse,
+    acquired: entry.acquired,
+    reconnects: entry.reconnects,
+    pool: entry.adapter.poolStats(entry.pool),
+  }));
+}
+
+async function getEntry(key, uri, adapter) {
+  if (pools.has(key)) return pools.get(key);
+
+  // Concurrent first requests share one pool instead of racing to open two
+  if (!opening.has(key)) {
+    opening.set(key, (async () => {
+      const pool = await adapter.connect(uri, { max: MAX_SIZE });
+      const entry = { adapter, pool, createdAt: Date.now(), lastUsedAt: Date.now(), inUse: 0, acquired: 0, reconnects: 0 };
+      pools.set(key, entry);
+      return entry;
+    })().finally(() => opening.delete(key)));
+  }
+  return opening.get(key);
+}
+
+async function evict(key) {
+  const entry = pools.get(key);
+  if (!entry) return;
+  pools.delete(key);
+  try {
+    await entry.adapter.close(entry.pool);
+  } catch (closeErr) {
+    console.error(`Failed to close pool ${key}:`, closeErr.message);
+  }
+}
+
+function startSweeper() {
+  if (sweeper) return;
+  sweeper = setInterval(() => {
+    const now = Date.now();
+    pools.forEach((entry, key) => {
+      if (entry.inUse === 0 && now - entry.lastUsedAt > IDLE_MS) {
+        console.log(`💤 Closing idle ${entry.adapter.label} pool ${key}`);
+        evict(key);
+      }
+    });
+  }, SWEEP_MS);
+  // Never keeps the process alive on its own
+  sweeper.unref?.();
+}
+
+function poolKey(uri) {
+  // Same value as connectionKey() in lib/connections.js
+  return createHash("sha256").update(uri).digest("hex").slice(0, 16);
+}
@@ -0,0 +1,269 @@
+// ============================================================================
+// lib/adapters/postgres.js - PostgreSQL Adapter
+// ============================================================================
+
+import { getPgPool } from "../db";
+import { validateSqlAction } from "../debug";
+import { groupForeignKeys, sampleRowValues, clampLimit, trimStatement, buildSqlDryRun, splitDryRunRows } from "./sql";
+
+const SYSTEM_SCHEMAS = ["pg_catalog", "information_schema"];
+const MAX_ROWS = 1000;
+const STATEMENT_TIMEOUT_MS = 15000;
+const DRY_RUN_SAMPLES = 5;
+
+export const postgresAdapter = {
+  dbType: "postgresql",
+  label: "PostgreSQL",
+  schemes: ["postgres", "postgresql"],
+  connect: openPool,
+  acquire: (pool) => pool.connect(),
+  // A broken client is destroyed instead of going back into the pool
+  release: (client, broken) => client.release(broken || undefined),
+  poolStats: (pool) => ({
+    size: pool.totalCount,
+    inUse: pool.totalCount - pool.idleCount,
+    waiting: pool.waitingCount,
+    max: pool.options.max,
+  }),
+  introspect,
+  validate: (action) => validateSqlAction(action, "postgresql"),
+  execute,
+  explain,
+  dryRun,
+  // Pre-image capture needs a primary key per row; not supported yet
+  undo: null,
+  // Schemas are enforced by the tables themselves
+  applyValidator: null,
+  // Rows are already plain JSON values
+  deserialize: (action) => action,
+  serialize: (result) => result,
+  close: (pool) => pool.end(),
+};
+
+function openPool(uri, { max } = {}) {
+  const pool = getPgPool(uri, { max });
+  // Idle clients can fail (server restart); without a listener that crashes the process
+  pool.on("error", (err) => console.error("PostgreSQL pool client error:", err.message));
+  return pool;
+}
+
+/**
+ * Scans a PostgreSQL database and returns schema information in the same
+ * shape as the MongoDB adapter so the prompt and schema page can stay generic
+ * @param {pg.Client} client - Connected client
+ * @returns {Promise<Object>} Database metadata
+ */
+async function introspect(client) {
+  console.log("🔍 Starting PostgreSQL introspection...");
+
+  const { rows: tables } = await client.query(
+    `SELECT table_schema, table_name, table_type
+       FROM information_schema.tables
+      WHERE table_schema <> ALL($1) AND table_schema NOT LIKE 'pg_toast%'
+        AND table_type IN ('BASE TABLE', 'VIEW')
+      ORDER BY table_schema, table_name`,
+    [SYSTEM_SCHEMAS]
+  );
+  console.log(`📂 Found ${tables.length} tables`);
+
+  const { rows: columns } = await client.query(
+    `SELECT table_schema, table_name, column_name, data_type, is_nullable
+       FROM information_schema.columns
+      WHERE table_schema <> ALL($1)
+      ORDER BY table_schema, table_name, ordinal_position`,
+    [SYSTEM_SCHEMAS]
+  );
+
+  const { rows: keys } = await client.query(
+    `SELECT tc.table_schema, tc.table_name, tc.constraint_name, tc.constraint_type,
+            kcu.column_name, ccu.table_schema AS foreign_schema,
+            ccu.table_name AS foreign_table, ccu.column_name AS foreign_column
+       FROM information_schema.table_constraints tc
+       JOIN information_schema.key_column_usage kcu
+         ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+       LEFT JOIN information_schema.constraint_column_usage ccu
+         ON ccu.constraint_name = tc.constraint_name AND tc.constraint_type = 'FOREIGN KEY'
+      WHERE tc.constraint_type IN ('PRIMARY KEY', 'FOREIGN KEY')
+        AND tc.table_schema <> ALL($1)
+      ORDER BY tc.constraint_name, kcu.ordinal_position`,
+    [SYSTEM_SCHEMAS]
+  );
+
+  // information_schema has no index view, so indexes come from pg_catalog
+  const { rows: indexes } = await client.query(
+    `SELECT n.nspname AS table_schema, t.relname AS table_name, i.relname AS index_name,
+            ix.indisunique AS is_unique, array_agg(a.attname ORDER BY k.ord) AS columns
+       FROM pg_index ix
+       JOIN pg_class t ON t.oid = ix.indrelid
+       JOIN pg_class i ON i.oid = ix.indexrelid
+       JOIN pg_namespace n ON n.oid = t.relnamespace
+       CROSS JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ord)
+       JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+      WHERE n.nspname <> ALL($1)
+      GROUP BY n.nspname, t.relname, i.relname, ix.indisunique`,
+    [SYSTEM_SCHEMAS]
+  );
+
+  const { rows: stats } = await client.query(
+    `SELECT n.nspname AS table_schema, c.relname AS table_name,
+            c.reltuples::bigint AS estimate, pg_total_relation_size(c.oid) AS total_size
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p') AND n.nspname <> ALL($1)`,
+    [SYSTEM_SCHEMAS]
+  );
+
+  const dbInfo = [];
+
+  for (const table of tables) {
+    const belongs = (row) =>
+      row.table_schema === table.table_schema && row.table_name === table.table_name;
+    const name = qualifiedName(table.table_schema, table.table_name);
+
+    try {
+      const tableColumns = columns.filter(belongs);
+      const fields = tableColumns.map((c) => c.column_name);
+      const fieldTypes = {};
+      tableColumns.forEach((c) => {
+        fieldTypes[c.column_name] = c.is_nullable === "YES" ? [c.data_type, "null"] : [c.data_type];
+      });
+
+      const tableKeys = keys.filter(belongs);
+      const primaryKey = tableKeys
+        .filter((k) => k.constraint_type === "PRIMARY KEY")
+        .map((k) => k.column_name);
+      const foreignKeys = groupForeignKeys(
+        tableKeys
+          .filter((k) => k.constraint_type === "FOREIGN KEY")
+          .map((k) => ({ ...k, foreign_table: qualifiedName(k.foreign_schema, k.foreign_table) }))
+      );
+
+      const stat = stats.find(belongs);
+      let count = stat ? Number(stat.estimate) : 0;
+      // reltuples is -1 (or 0) until the table has been analyzed
+      if (count <= 0) {
+        const { rows } = await client.query(`SELECT count(*)::bigint AS n FROM ${quoteTable(table)}`);
+        count = Number(rows[0].n);
+      }
+      const storageSize = stat ? Number(stat.total_size) : 0;
+
+      const { rows: sampleRows } = await client.query(`SELECT * FROM ${quoteTable(table)} LIMIT 5`);
+
+      dbInfo.push({
+        name,
+        type: table.table_type === "VIEW" ? "view" : "table",
+        fields,
+        fieldTypes,
+        sampleValues: sampleRowValues(sampleRows, fields),
+        primaryKey,
+        foreignKeys,
+        indexes: indexes.filter(belongs).map((idx) => ({
+          name: idx.index_name,
+          keys: idx.columns,
+          unique: idx.is_unique,
+        })),
+        documentCount: count,
+        avgDocSize: count > 0 ? Math.round(storageSize / count) : 0,
+        storageSize,
+      });
+
+      console.log(`  ✅ ${name}: ~${count} rows, ${fields.length} columns`);
+    } catch (err) {
+      console.error(`  ❌ Failed to analyze ${name}:`, err.message);
+    }
+  }
+
+  console.log("✅ PostgreSQL introspection complete");
+
+  return {
+    dbType: "postgresql",
+    collections: dbInfo,
+    totalCollections: dbInfo.length,
+    totalDocuments: dbInfo.reduce((sum, c) => sum + c.documentCount, 0),
+    scannedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Executes a validated SQL action ({ action, table, sql, params, limit })
+ * Reads run inside a READ ONLY transaction so a SELECT can never write
+ * @param {pg.Client} client - Connected client
+ * @param {Object} action - Action produced by the AI (see validateSqlAction)
+ * @returns {Promise<Object>} { result, metadata }
+ */
+async function execute(client, action) {
+  const isRead = action.action === "find" || action.action === "aggregate";
+  let sql = trimStatement(action.sql);
+  const params = action.params || [];
+
+  if (action.action === "find") {
+    const limit = clampLimit(action.limit, 100, MAX_ROWS);
+    sql = `SELECT * FROM (${sql}) AS q LIMIT ${limit}`;
+  }
+
+  try {
+    await client.query(isRead ? "BEGIN READ ONLY" : "BEGIN");
+    await client.query(`SET LOCAL statement_timeout = ${STATEMENT_TIMEOUT_MS}`);
+    const res = await client.query(sql, params);
+    await client.query("COMMIT");
+
+    const metadata = {
+      action: action.action,
+      table: action.table,
+      fieldsReturned: res.fields ? res.fields.map((f) => f.name) : [],
+    };
+
+    let result;
+    if (isRead) result = res.rows;
+    else if (action.action === "insert") result = { insertedCount: res.rowCount };
+    else if (action.action === "update") result = { matchedCount: res.rowCount, modifiedCount: res.rowCount };
+    else result = { deletedCount: res.rowCount };
+
+    return { result, metadata };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * EXPLAIN without ANALYZE plans the statement but never runs it
+ */
+async function explain(client, action) {
+  const { rows } = await client.query(`EXPLAIN (FORMAT JSON) ${trimStatement(action.sql)}`, action.params || []);
+  return rows[0]["QUERY PLAN"];
+}
+
+/**
+ * Counts and samples the rows an UPDATE/DELETE would touch, inside a
+ * read-only transaction
+ */
+async function dryRun(client, action) {
+  const { countSql, sampleSql, assignments } = buildSqlDryRun(action, "postgresql", DRY_RUN_SAMPLES);
+  const params = action.params || [];
+
+  try {
+    await client.query("BEGIN READ ONLY");
+    await client.query(`SET LOCAL statement_timeout = ${STATEMENT_TIMEOUT_MS}`);
+    const count = await client.query(countSql, params);
+    const sample = await client.query(sampleSql, params);
+    await client.query("COMMIT");
+
+    return { matchedCount: Number(count.rows[0].count), samples: splitDryRunRows(sample.rows, assignments) };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Tables in the public schema are addressed by their bare name
+ */
+function qualifiedName(schema, table) {
+  return schema === "public" ? table : `${schema}.${table}`;
+}
+
+function quoteTable({ table_schema, table_name }) {
+  const quote = (ident) => `"${ident.replace(/"/g, '""')}"`;
+  return `${quote(table_schema)}.${quote(table_name)}`;
+}
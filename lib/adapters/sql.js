@@ -0,0 +1,233 @@
+// ============================================================================
+// lib/adapters/sql.js - Helpers shared by the SQL backends (PostgreSQL, MySQL)
+// ============================================================================
+
+import { diffDocuments } from "../dryrun";
+
+/**
+ * Collapse per-column FK rows ({ constraint_name, column_name,
+ * foreign_table, foreign_column }) into one entry per constraint
+ */
+export function groupForeignKeys(rows) {
+  const byName = new Map();
+  rows.forEach((row) => {
+    if (!byName.has(row.constraint_name)) {
+      byName.set(row.constraint_name, {
+        name: row.constraint_name,
+        columns: [],
+        references: { table: row.foreign_table, columns: [] },
+      });
+    }
+    const fk = byName.get(row.constraint_name);
+    if (!fk.columns.includes(row.column_name)) fk.columns.push(row.column_name);
+    if (!fk.references.columns.includes(row.foreign_column)) fk.references.columns.push(row.foreign_column);
+  });
+  return Array.from(byName.values());
+}
+
+/**
+ * First non-null value per column, trimmed for the prompt
+ */
+export function sampleRowValues(rows, fields) {
+  const sampleValues = {};
+  fields.forEach((field) => {
+    const row = rows.find((r) => r[field] !== null && r[field] !== undefined);
+    if (!row) return;
+    const value = row[field];
+    if (value instanceof Date) sampleValues[field] = value.toISOString();
+    else if (typeof value === "object") sampleValues[field] = Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} keys}`;
+    else if (typeof value === "string" && value.length > 50) sampleValues[field] = value.substring(0, 47) + "...";
+    else sampleValues[field] = value;
+  });
+  return sampleValues;
+}
+
+/**
+ * Clamp a requested row limit to something sane
+ */
+export function clampLimit(limit, fallback, max) {
+  return Math.min(Math.max(parseInt(limit, 10) || fallback, 1), max);
+}
+
+/**
+ * Caps the rows a SELECT returns without wrapping it in a derived table
+ * (MySQL rejects duplicate column names there). A trailing LIMIT, with
+ * literals or placeholders and an optional offset, is rewritten to the
+ * smaller of its count and `limit`; otherwise a LIMIT is appended.
+ * Placeholders of the old clause are the statement's last ones, so their
+ * values are inlined and dropped from params.
+ * @returns {Object} { sql, params }
+ * @throws {Error} For a LIMIT it can't read
+ */
+export function capLimitClause(sql, params, limit, dbType) {
+  const mask = maskSql(sql, dbType);
+  const match = mask.match(/\bLIMIT\s+(\?|\d+)(?:\s*,\s*(\?|\d+)|\s+OFFSET\s+(\?|\d+))?\s*$/i);
+  if (!match) {
+    if (/\bLIMIT\b/i.test(mask)) throw new Error("Unsupported LIMIT clause; end the query with LIMIT <count> [OFFSET <offset>]");
+    return { sql: `${sql} LIMIT ${limit}`, params };
+  }
+
+  const tokens = match.slice(1).filter(Boolean);
+  const placeholders = tokens.filter(token => token === "?").length;
+  const base = params.length - placeholders;
+  if (base < 0) throw new Error("LIMIT placeholders have no matching params");
+
+  let next = base;
+  const [first, second] = tokens.map(token => {
+    const value = Number(token === "?" ? params[next++] : token);
+    if (!Number.isInteger(value) || value < 0) throw new Error("LIMIT and OFFSET must be non-negative integers");
+    return value;
+  });
+  // "LIMIT offset, count" vs "LIMIT count OFFSET offset"
+  const [count, offset] = match[2] ? [second, first] : [first, second];
+
+  return {
+    sql: `${sql.slice(0, match.index)}LIMIT ${Math.min(count, limit)}${offset ? ` OFFSET ${offset}` : ""}`,
+    params: params.slice(0, base),
+  };
+}
+
+/**
+ * Drop surrounding whitespace and a single trailing semicolon
+ */
+export function trimStatement(sql) {
+  return sql.trim().replace(/;\s*$/, "");
+}
+
+/**
+ * Rewrites a single-table UPDATE/DELETE into read-only SELECTs that count and
+ * sample the rows it would touch. SET expressions are evaluated as extra
+ * columns (__after_0, __after_1, ...) so updates can be previewed without
+ * writing. Placeholders keep their order, so the action's params still fit.
+ * @param {Object} action - { action: "update" | "delete", sql }
+ * @param {string} dbType - postgresql | mysql
+ * @param {number} sampleSize - Rows to sample
+ * @returns {Object} { countSql, sampleSql, assignments: [column names] }
+ * @throws {Error} For multi-table statements it can't rewrite safely
+ */
+export function buildSqlDryRun(action, dbType, sampleSize) {
+  const sql = trimStatement(action.sql);
+  const mask = maskSql(sql, dbType);
+  const find = (pattern, from = 0) => {
+    const match = mask.slice(from).match(pattern);
+    return match ? from + match.index : -1;
+  };
+  const unsupported = () => new Error("Dry run only supports single-table UPDATE/DELETE statements");
+
+  // Clauses that end the WHERE part of the rewritten SELECT
+  const returning = find(/\bRETURNING\b/i);
+  const end = returning === -1 ? sql.length : returning;
+  const where = find(/\bWHERE\b/i);
+  const tail = where === -1 || where > end ? "" : sql.slice(where, end);
+
+  let target;
+  const assignments = [];
+
+  if (action.action === "delete") {
+    const from = mask.match(/^\s*DELETE\s+FROM\s+/i);
+    if (!from) throw unsupported();
+    target = sql.slice(from[0].length, where === -1 ? end : where);
+    if (/\bUSING\b|,|\bJOIN\b/i.test(mask.slice(from[0].length, where === -1 ? end : where))) throw unsupported();
+  } else {
+    const update = mask.match(/^\s*UPDATE\s+/i);
+    const set = find(/\bSET\b/i);
+    if (!update || set === -1) throw unsupported();
+    target = sql.slice(update[0].length, set);
+    if (/,|\bJOIN\b/i.test(mask.slice(update[0].length, set))) throw unsupported();
+
+    const setEnd = where === -1 ? end : where;
+    const setMask = mask.slice(set + 3, setEnd);
+    if (/\bFROM\b/i.test(setMask)) throw unsupported();
+
+    // Split "a = 1, b = b + $2" on top-level commas
+    let start = 0;
+    const setSql = sql.slice(set + 3, setEnd);
+    [...setMask.matchAll(/,/g)].map(m => m.index).concat(setSql.length).forEach(comma => {
+      const part = setSql.slice(start, comma);
+      const eq = setMask.slice(start, comma).indexOf("=");
+      if (eq === -1) throw unsupported();
+      const column = part.slice(0, eq).trim().split(".").pop().replace(/^[`"]|[`"]$/g, "");
+      assignments.push({ column, expr: part.slice(eq + 1).trim() });
+      start = comma + 1;
+    });
+  }
+
+  // MySQL ORDER BY/LIMIT on the statement stays inside the derived table
+  const afterColumns = assignments.map((a, i) => `, (${a.expr}) AS __after_${i}`).join("");
+  const inner = `FROM ${target.trim()} ${tail}`.trim();
+
+  return {
+    countSql: `SELECT COUNT(*) AS count FROM (SELECT 1 AS one${afterColumns} ${inner}) AS q`,
+    sampleSql: `SELECT * FROM (SELECT *${afterColumns} ${inner}) AS q LIMIT ${sampleSize}`,
+    assignments: assignments.map(a => a.column),
+  };
+}
+
+/**
+ * Turns sampled rows with __after_N columns into { before, after, changes }
+ */
+export function splitDryRunRows(rows, assignments) {
+  return rows.map((row) => {
+    const before = { ...row };
+    assignments.forEach((_, i) => delete before[`__after_${i}`]);
+    if (assignments.length === 0) return { before };
+
+    const after = { ...before };
+    assignments.forEach((column, i) => { after[column] = row[`__after_${i}`]; });
+    return { before, after, changes: diffDocuments(before, after) };
+  });
+}
+
+/**
+ * Same-length copy of the SQL with literals, comments and parenthesised
+ * content blanked out, so keyword and comma positions can be found safely.
+ * The filler is neither a word character nor whitespace, so quoted names
+ * still count as tokens.
+ */
+const MASK = "\u0001";
+
+function maskSql(sql, dbType) {
+  let out = "";
+  let depth = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    let end = i + 1;
+
+    if (ch === "'" || ch === '"' || (ch === "`" && dbType === "mysql")) {
+      end = i + 1;
+      while (end < sql.length) {
+        if (dbType === "mysql" && sql[end] === "\\") { end += 2; continue; }
+        if (sql[end] === ch) {
+          if (sql[end + 1] === ch) { end += 2; continue; }
+          end += 1;
+          break;
+        }
+        end += 1;
+      }
+    } else if (ch === "-" && next === "-") {
+      end = sql.indexOf("\n", i);
+      if (end === -1) end = sql.length;
+    } else if (ch === "#" && dbType === "mysql") {
+      end = sql.indexOf("\n", i);
+      if (end === -1) end = sql.length;
+    } else if (ch === "/" && next === "*") {
+      end = sql.indexOf("*/", i + 2);
+      end = end === -1 ? sql.length : end + 2;
+    } else {
+      if (ch === "(") depth += 1;
+      const visible = depth === 0;
+      if (ch === ")") depth = Math.max(depth - 1, 0);
+      out += visible ? ch : MASK;
+      i += 1;
+      continue;
+    }
+
+    out += MASK.repeat(end - i);
+    i = end;
+  }
+
+  return out;
+}
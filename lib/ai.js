@@ -1,14 +1,16 @@
 // ============================================================================
-// lib/ai.js - Ollama Integration with Schema-Aware Prompting
+// lib/ai.js - LLM Integration with Schema-Aware Prompting
 // ============================================================================
 
 import { formatForAI } from "./dbintrospect";
-
-const OLLAMA_URL = "http://localhost:11434/api/generate";
-const MODEL_NAME = "qwen2.5-coder:7b";
+import { getProvider, resolveLLMConfig } from "./providers";
+import { buildActionSchema, validateAgainstSchema } from "./actionschema";
+import { formatBoundary } from "./timerange";
+import { loadQueryPolicy } from "./querypolicy";
+import { formatFieldType } from "./inferschema";
 
 // ============================================================================
-//  MAIN FUNCTION – OLLAMA WITH SCHEMA CONTEXT
+//  MAIN FUNCTION – LLM WITH SCHEMA CONTEXT
 // ============================================================================
 export async function parseUserInstruction({
   dbType = "mongodb",
@@ -16,29 +18,37 @@ export async function parseUserInstruction({
   collections = [],
   previewLimit = 50,
   collectionSchemas = {},
+  llm = resolveLLMConfig(),
+  feedback = null,
+  history = [],
+  timeRange = null,
+  readOnly = false,
 }) {
   try {
-    // Check if Ollama is running
-    const isRunning = await checkOllamaRunning();
+    // Check if the provider is reachable
+    const provider = getProvider(llm.provider);
+    const isRunning = await provider.isAvailable(llm);
     if (!isRunning) {
       throw new Error(
-        "❌ Ollama is not running. Please start it:\n\n" +
-        "1. Install from https://ollama.com\n" +
-        "2. Run: ollama serve\n" +
-        "3. Pull model: ollama pull qwen2.5-coder:7b"
+        `❌ ${provider.label} is not running at ${llm.baseUrl}. Please start it:\n\n${provider.setupHint}`
       );
     }
 
-    // Parse with Ollama (with schema context)
-    return await parseWithOllama({
+    // Parse with the provider (with schema context)
+    return await parseWithLLM({
       dbType,
       userText,
       collections,
       previewLimit,
       collectionSchemas,
+      llm,
+      feedback,
+      history,
+      timeRange,
+      readOnly,
     });
   } catch (error) {
-    console.error("❌ Ollama parsing failed:", error.message);
+    console.error(`❌ ${llm.label} parsing failed:`, error.message);
     throw error;
   }
 }
@@ -46,39 +56,25 @@ export async function parseUserInstruction({
 // ============================================================================
 //  PREVIEW GENERATION FUNCTION
 // ============================================================================
-export async function generateQueryPreview(query, userText, dbType = "mongodb") {
+export async function generateQueryPreview(query, userText, dbType = "mongodb", llm = resolveLLMConfig()) {
   try {
-    const isRunning = await checkOllamaRunning();
+    const provider = getProvider(llm.provider);
+    const isRunning = await provider.isAvailable(llm);
     if (!isRunning) {
-      return "⚠️ Preview unavailable - Ollama not running. Start with: ollama serve";
+      return `⚠️ Preview unavailable - ${provider.label} not running at ${llm.baseUrl}`;
     }
 
     const previewPrompt = buildPreviewPrompt(query, userText, dbType);
     
-    console.log("🔍 Generating preview with Ollama...");
+    console.log(`🔍 Generating preview with ${llm.label}...`);
     
-    const response = await fetch(OLLAMA_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: MODEL_NAME,
-        prompt: previewPrompt,
-        stream: false,
-        options: {
-          temperature: 0.3,
-          num_predict: 200,
-        },
-      }),
+    const rawText = await provider.generate({
+      ...llm,
+      prompt: previewPrompt,
+      temperature: 0.3,
+      maxTokens: 200,
     });
-
-    if (!response.ok) {
-      throw new Error(`Ollama preview failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const explanation = data.response.trim();
+    const explanation = rawText.trim();
     
     console.log("✅ Preview generated:", explanation.substring(0, 50) + "...");
     
@@ -90,82 +86,154 @@ export async function generateQueryPreview(query, userText, dbType = "mongodb")
 }
 
 // ============================================================================
-//  CHECK OLLAMA IS RUNNING
+//  LLM INFERENCE WITH SCHEMA CONTEXT
 // ============================================================================
-async function checkOllamaRunning() {
-  try {
-    const response = await fetch("http://localhost:11434/api/tags", {
-      method: "GET",
-      signal: AbortSignal.timeout(3000),
-    });
-    return response.ok;
-  } catch (error) {
-    console.error("⚠️ Ollama check failed:", error.message);
-    return false;
-  }
-}
-
-// ============================================================================
-//  OLLAMA INFERENCE WITH SCHEMA CONTEXT
-// ============================================================================
-async function parseWithOllama({
+async function parseWithLLM({
   dbType,
   userText,
   collections,
   previewLimit,
   collectionSchemas,
+  llm,
+  feedback,
+  history,
+  timeRange,
+  readOnly,
 }) {
   const systemPrompt = buildSystemPrompt(
     userText,
     collections,
     collectionSchemas,
-    dbType
+    dbType,
+    { history, timeRange, readOnly }
+  ) + buildRepairSection(feedback);
+
+  // Constrains decoding to the exact action shape where the provider supports it
+  const schema = buildActionSchema(
+    dbType,
+    collections.length > 0 ? collections : Object.keys(collectionSchemas),
+    { readOnly }
   );
 
-  console.log(`🤖 Sending to Ollama (${MODEL_NAME})...`);
+  console.log(`🤖 Sending to ${llm.label} (${llm.model})...`);
   console.log(`📝 User query: "${userText}"`);
   
   // Log if schema is available
   const schemaAvailable = Object.keys(collectionSchemas).length > 0;
   console.log(`📊 Schema context: ${schemaAvailable ? "✅ Available" : "❌ Not available"}`);
 
+  let rawText;
   try {
-    const response = await fetch(OLLAMA_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: MODEL_NAME,
-        prompt: systemPrompt,
-        stream: false,
-        options: {
-          temperature: 0.1,
-          num_predict: 500,
-        },
-      }),
+    rawText = await getProvider(llm.provider).generate({
+      ...llm,
+      prompt: systemPrompt,
+      format: schema,
+      temperature: llm.temperature ?? 0.1,
+      maxTokens: llm.maxTokens ?? 500,
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const rawText = data.response;
-
-    console.log("✅ Ollama raw response:", rawText.substring(0, 150) + "...");
-
-    return parseJSONResponse(rawText, previewLimit, dbType);
+    console.log(`✅ ${llm.label} raw response:`, rawText.substring(0, 150) + "...");
   } catch (error) {
-    console.error("❌ Ollama request failed:", error);
+    console.error(`❌ ${llm.label} request failed:`, error);
     
     if (error.message.includes("fetch")) {
-      throw new Error("Cannot connect to Ollama. Make sure it's running: ollama serve");
+      throw new Error(`Cannot connect to ${llm.label} at ${llm.baseUrl}. Make sure it's running.`);
     }
     
-    throw new Error(`Ollama failed: ${error.message}`);
+    throw new Error(`${llm.label} failed: ${error.message}`);
+  }
+
+  // Outside the try so parse errors keep their stage/rawText for repair
+  return parseJSONResponse(rawText, previewLimit, dbType, schema);
+}
+
+// ============================================================================
+//  SELF-CORRECTING GENERATION LOOP
+// ============================================================================
+const DEFAULT_MAX_REPAIRS = parseInt(process.env.LLM_MAX_REPAIRS, 10) || 2;
+
+/**
+ * Generates an action and feeds every failure (unparseable JSON, validation
+ * errors, unknown fields, server errors) back to the model until the check
+ * passes or the repair budget runs out.
+ * @param {Object} request - Same arguments as parseUserInstruction
+ * @param {Function} check - async (action) => null | { stage, error, availableFields? }
+ * @param {number} maxRepairs - Extra attempts after the first one
+ * @returns {Promise<Object>} { action, attempts, problem } - problem is the
+ *   last unresolved check failure (null when the final action passed)
+ */
+export async function parseWithRepair(request, check, maxRepairs = DEFAULT_MAX_REPAIRS) {
+  const attempts = [];
+  let feedback = null;
+  let lastAction = null;
+  let lastProblem = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    let action;
+    try {
+      action = await parseUserInstruction({ ...request, feedback });
+    } catch (error) {
+      // Only bad model output is worth another try; a dead provider is not
+      if (error.stage !== "parse") throw error;
+
+      attempts.push({ attempt, stage: "parse", error: error.message });
+      if (attempt === maxRepairs + 1 && !lastAction) {
+        error.attempts = attempts;
+        throw error;
+      }
+      feedback = { stage: "parse", error: error.message, previous: error.rawText };
+      continue;
+    }
+
+    const problem = await check(action);
+    attempts.push({ attempt, stage: problem ? problem.stage : "ok", error: problem?.error });
+    if (!problem) return { action, attempts, problem: null };
+
+    console.warn(`🔁 Attempt ${attempt} rejected (${problem.stage}): ${problem.error}`);
+    lastAction = action;
+    lastProblem = problem;
+    feedback = { ...problem, previous: JSON.stringify(action) };
   }
+
+  return { action: lastAction, attempts, problem: lastProblem };
+}
+
+/**
+ * Prompt section telling the model why its previous answer was rejected
+ */
+function buildRepairSection(feedback) {
+  if (!feedback) return "";
+
+  const reasons = {
+    parse: "was not valid JSON",
+    validation: "failed validation",
+    fields: "used fields that do not exist",
+    collections: "joined collections that do not exist",
+    server: "was rejected by the database server",
+  };
+
+  let section = `
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+🔁 YOUR PREVIOUS ANSWER ${(reasons[feedback.stage] || "was rejected").toUpperCase()} - FIX IT:
+
+PREVIOUS ANSWER:
+${feedback.previous || "(empty)"}
+
+ERROR:
+${feedback.error}
+`;
+
+  if (feedback.availableFields?.length > 0) {
+    section += `
+AVAILABLE FIELDS (use ONLY these):
+${feedback.availableFields.join(", ")}
+`;
+  }
+
+  section += `
+Return a corrected JSON answer for the same user query. ONLY the JSON.`;
+  return section;
 }
 
 // ============================================================================
@@ -187,10 +255,34 @@ Provide a brief (2-3 sentences), clear explanation of what this query will do.
 Explanation:`;
 }
 
+// ============================================================================
+//  SHARED TRILINGUAL KEYWORD GUIDE
+// ============================================================================
+const LANGUAGE_GUIDE = `🌍 LANGUAGE UNDERSTANDING (English, Hindi, Marathi):
+
+ENGLISH KEYWORDS:
+  • Actions: show, find, get, list, all, search, display, fetch, count, delete, update
+  • Fields: name, email, phone, address, age, id, firstname, lastname
+  • Filters: where, with, having, containing, equals, like, matching
+
+HINDI (हिंदी) KEYWORDS:
+  • Actions: दिखाओ (dikhao), बताओ (batao), खोजो (khojo), ढूंढो (dhundho), सभी (sabhi), सारे (saare), गिनो (gino)
+  • Fields: नाम (naam), पहला नाम (pehla naam), ईमेल (email), फोन (phone), पता (pata)
+  • Filters: का (ka), के (ke), की (ki), वाला (wala), वाली (wali), है (hai), हो (ho)
+
+MARATHI (मराठी) KEYWORDS:
+  • Actions: दाखव (dakhav), सांग (sang), शोध (shodh), सर्व (sarva), सगळे (sagle), मोज (moj)
+  • Fields: नाव (naav), पहिले नाव (pahile naav), ईमेल (email), फोन (phone), पत्ता (patta)
+  • Filters: चा (cha), ची (chi), चे (che), आहे (aahe), असलेला (asalela)`;
+
 // ============================================================================
 //  BUILD SYSTEM PROMPT (Enhanced with Schema Context)
 // ============================================================================
-function buildSystemPrompt(userText, collections, collectionSchemas, dbType) {
+/**
+ * @param {Object} context - { history, timeRange, readOnly } for this request
+ */
+function buildSystemPrompt(userText, collections, collectionSchemas, dbType, context = {}) {
+  const { history = [], timeRange = null, readOnly = false } = context;
   // ✅ NEW: Build schema context from actual database
   let schemaContext = "";
   if (Object.keys(collectionSchemas).length > 0) {
@@ -202,19 +294,51 @@ function buildSystemPrompt(userText, collections, collectionSchemas, dbType) {
       schemaContext += `📂 Collection: "${name}"\n`;
       schemaContext += `   Fields: ${schema.fields.length}\n\n`;
       
+      // Nested paths follow their parent; indent them so the tree is visible
       schema.fields.forEach(field => {
-        const types = schema.fieldTypes[field]?.join(" | ") || "unknown";
+        const types = formatFieldType(schema, field);
         const sample = schema.sampleValues[field];
-        const sampleStr = sample !== undefined ? ` → Example: ${JSON.stringify(sample)}` : "";
-        schemaContext += `   • ${field} (${types})${sampleStr}\n`;
+        const stat = schema.fieldStats?.[field];
+        // Categorical fields list every value seen so filters use the real spelling
+        const sampleStr = stat?.enum
+          ? ` → Values: ${stat.topValues.map(top => JSON.stringify(top.value)).join(" | ")}`
+          : sample !== undefined ? ` → Example: ${JSON.stringify(sample)}` : "";
+        const occurrence = schema.occurrence?.[field];
+        const occurrenceStr = occurrence !== undefined && occurrence < 100 ? ` [in ${occurrence}% of docs]` : "";
+        const indent = "  ".repeat(field.split(".").length - 1);
+        schemaContext += `   ${indent}• ${field} (${types})${occurrenceStr}${sampleStr}\n`;
+      });
+      if (schema.omittedFields > 0) {
+        schemaContext += `   … ${schema.omittedFields} more fields not relevant to this question\n`;
+      }
+      if (schema.primaryKey?.length > 0) {
+        schemaContext += `   🔑 Primary key: ${schema.primaryKey.join(", ")}\n`;
+      }
+      (schema.references || []).forEach(ref => {
+        const kind = ref.many ? "array of references" : "reference";
+        const hint = ref.confidence === "high" ? "" : ", inferred from the name";
+        schemaContext += `   🔗 ${ref.field} → ${ref.to}.${ref.toField} (${kind}${hint})\n`;
+      });
+      (schema.foreignKeys || []).forEach(fk => {
+        schemaContext += `   🔗 ${fk.columns.join(", ")} → ${fk.references.table}(${fk.references.columns.join(", ")})\n`;
       });
       schemaContext += "\n";
     });
     
+    // Schema retrieval may have left some out; the model should still know they exist
+    const undescribed = collections.filter(name => !collectionSchemas[name]);
+    if (undescribed.length > 0) {
+      schemaContext += `ℹ️ Other ${dbType === "mongodb" ? "collections" : "tables"} (schema not shown, less relevant): ${undescribed.join(", ")}\n\n`;
+    }
+    
     schemaContext += "⚠️ CRITICAL: Use ONLY the field names listed above. Do not invent fields.\n\n";
     schemaContext += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n";
   }
 
+  if (dbType !== "mongodb") {
+    return buildSqlPrompt(userText, collections, collectionSchemas, dbType, schemaContext, context);
+  }
+
   const availableCollections =
     collections.length > 0
       ? collections.join(", ")
@@ -222,22 +346,7 @@ function buildSystemPrompt(userText, collections, collectionSchemas, dbType) {
 
   const systemPrompt = `${schemaContext}You are an expert ${dbType.toUpperCase()} query generator with TRILINGUAL support.
 
-🌍 LANGUAGE UNDERSTANDING (English, Hindi, Marathi):
-
-ENGLISH KEYWORDS:
-  • Actions: show, find, get, list, all, search, display, fetch, count, delete, update
-  • Fields: name, email, phone, address, age, id, firstname, lastname
-  • Filters: where, with, having, containing, equals, like, matching
-
-HINDI (हिंदी) KEYWORDS:
-  • Actions: दिखाओ (dikhao), बताओ (batao), खोजो (khojo), ढूंढो (dhundho), सभी (sabhi), सारे (saare), गिनो (gino)
-  • Fields: नाम (naam), पहला नाम (pehla naam), ईमेल (email), फोन (phone), पता (pata)
-  • Filters: का (ka), के (ke), की (ki), वाला (wala), वाली (wali), है (hai), हो (ho)
-
-MARATHI (मराठी) KEYWORDS:
-  • Actions: दाखव (dakhav), सांग (sang), शोध (shodh), सर्व (sarva), सगळे (sagle), मोज (moj)
-  • Fields: नाव (naav), पहिले नाव (pahile naav), ईमेल (email), फोन (phone), पत्ता (patta)
-  • Filters: चा (cha), ची (chi), चे (che), आहे (aahe), असलेला (asalela)
+${LANGUAGE_GUIDE}
 
 📖 TRILINGUAL QUERY EXAMPLES:
 
@@ -294,6 +403,33 @@ MARATHI (मराठी) KEYWORDS:
    {"action": "aggregate", "collection": "users", "pipeline": [{"$count": "total"}]}
 
 8. **SAFETY** - Never delete/update without query conditions
+   • Never use these operators/stages: ${Array.from(loadQueryPolicy().deny).join(", ")}
+   • Keep pipelines short; use at most ${loadQueryPolicy().maxLookups} $lookup stages
+
+9. **TYPED VALUES (Extended JSON)** - Match the field type from the schema:
+   • objectid fields (like _id): {"_id": {"$oid": "65f1a2b3c4d5e6f708192a3b"}}
+   • date fields: {"createdAt": {"$gte": {"$date": "2024-01-01T00:00:00Z"}}}
+   • decimal128 fields: {"price": {"$gt": {"$numberDecimal": "9.99"}}}
+   • date-string / objectid-string fields are plain strings - compare as strings
+
+10. **NESTED FIELDS** - Fields listed as dotted paths live in embedded documents/arrays:
+   • Query them with dot notation: {"address.city": {"$regex": "Pune", "$options": "i"}}
+   • Arrays of documents match on any element: {"items.price": {"$gt": 10}}
+   • Several conditions on the same element: {"items": {"$elemMatch": {"price": {"$gt": 10}, "qty": 2}}}
+   • Project nested fields the same way: {"address.city": 1, "_id": 0}
+
+11. **RELATIONSHIPS ($lookup)** - "🔗 field → other._id" lines above are references between collections:
+   • Questions spanning collections ("orders of user Ram") need an aggregate with $lookup
+   • Start from the collection you filter on, then join the referenced/referencing one:
+     {"action": "aggregate", "collection": "users", "pipeline": [
+       {"$match": {"firstName": {"$regex": "Ram", "$options": "i"}}},
+       {"$lookup": {"from": "orders", "localField": "_id", "foreignField": "userId", "as": "orders"}}
+     ]}
+   • Use only the listed references and collections in "from"; $unwind the joined array when one row per match is wanted
+
+12. **CATEGORICAL VALUES** - Fields shown with "→ Values:" only ever hold those values:
+   • Match them exactly, with the listed spelling and case: {"status": "active"}
+   • Map the user's words to the closest listed value ("चालू" / "active ones" → "active"); no $regex needed
 
 📋 RESPONSE FORMAT - RETURN ONLY THIS JSON (NO MARKDOWN, NO EXPLANATIONS):
 
@@ -312,7 +448,7 @@ Valid actions: find, insert, update, delete, aggregate
 
 🔍 AVAILABLE COLLECTIONS: ${availableCollections}
 
-👤 USER QUERY: "${userText}"
+${buildReadOnlySection(readOnly, dbType)}${buildTimeRangeSection(timeRange, collectionSchemas, dbType)}${buildConversationSection(history)}👤 USER QUERY: "${userText}"
 
 CRITICAL INSTRUCTIONS:
 - Return ONLY valid JSON
@@ -327,40 +463,234 @@ CRITICAL INSTRUCTIONS:
 }
 
 // ============================================================================
-//  PARSE RAW OLLAMA OUTPUT
+//  CONVERSATION CONTEXT – lets follow-ups like "sort those by age" resolve
+// ============================================================================
+const MAX_HISTORY_TURNS = 5;
+
+/**
+ * Keeps the last few well-formed turns and bounds their size so a long chat
+ * can't blow up the prompt
+ * @param {Array} history - [{ userText, action, resultSummary }]
+ * @returns {Array} Sanitized turns, oldest first
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const clip = (text, max) => (text.length > max ? `${text.slice(0, max)}...` : text);
+
+  return history
+    .filter(turn => turn && typeof turn.userText === "string" && turn.userText.trim())
+    .slice(-MAX_HISTORY_TURNS)
+    .map(turn => ({
+      userText: clip(turn.userText.trim(), 500),
+      action: turn.action ? clip(JSON.stringify(turn.action), 1000) : null,
+      resultSummary: typeof turn.resultSummary === "string" ? clip(turn.resultSummary, 500) : null,
+    }));
+}
+
+/**
+ * Prompt section listing earlier questions, the queries generated for them
+ * and what they returned
+ */
+function buildConversationSection(history) {
+  if (!history || history.length === 0) return "";
+
+  let section = "💬 CONVERSATION SO FAR (oldest first):\n";
+  history.forEach((turn, i) => {
+    section += `${i + 1}. User: "${turn.userText}"\n`;
+    if (turn.action) section += `   Query: ${turn.action}\n`;
+    if (turn.resultSummary) section += `   Result: ${turn.resultSummary}\n`;
+  });
+
+  section += `
+If the USER QUERY below refers to earlier results ("those", "them", "now only...",
+"sort those by...", "उनमें से", "त्यांपैकी"), start from the most recent query
+above and modify it - keep its collection/table and conditions unless told otherwise.
+Otherwise treat it as a new, independent question.
+
+`;
+  return section;
+}
+
+// ============================================================================
+//  READ-ONLY CONNECTIONS
 // ============================================================================
-function parseJSONResponse(rawText, previewLimit, dbType) {
-  let text = rawText.trim();
+function buildReadOnlySection(readOnly, dbType) {
+  if (!readOnly) return "";
+
+  const writeStages = dbType === "mongodb" ? " and never use $out or $merge stages" : "";
+  return `🔒 READ-ONLY CONNECTION: Only "find" and "aggregate" are allowed.
+Never generate insert, update or delete${writeStages}. If the user asks to change
+data, return a "find" that shows the records that would be affected instead.
+
+`;
+}
+
+// ============================================================================
+//  TIME RANGES – relative dates are resolved server-side, never by the model
+// ============================================================================
+
+/**
+ * Prompt section with the already-resolved range, the date-typed fields it can
+ * apply to and the exact literal to use for each field/dialect
+ */
+function buildTimeRangeSection(timeRange, collectionSchemas = {}, dbType = "mongodb") {
+  if (!timeRange) return "";
+
+  const start = formatBoundary(timeRange.start, timeRange.timeZone);
+  const end = formatBoundary(timeRange.end, timeRange.timeZone);
+
+  const dateFields = [];
+  Object.entries(collectionSchemas).forEach(([name, schema]) => {
+    Object.entries(schema.fieldTypes || {}).forEach(([field, types]) => {
+      const dateType = types.find(type => /date|timestamp/i.test(type));
+      if (dateType) dateFields.push(`${name}.${field} (${dateType})`);
+    });
+  });
 
-  console.log("🔍 Parsing Ollama response...");
+  let section = `🗓️ TIME RANGE (already resolved - do NOT compute dates yourself):
+"${timeRange.phrase}" = from ${start.wall} to ${end.wall} (${timeRange.timeZone}), start inclusive, end exclusive
+`;
 
-  // Remove markdown code blocks
-  if (text.includes("```")) {
-    text = text.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+  if (dateFields.length > 0) {
+    section += `Date fields: ${dateFields.join(", ")}\n`;
   }
 
-  // Extract JSON
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    text = jsonMatch[0];
+  if (dbType === "mongodb") {
+    section += `Filter the most relevant date field with $gte start and $lt end:
+   • date fields: {"$gte": {"$date": "${start.iso}"}, "$lt": {"$date": "${end.iso}"}}
+   • date-string fields: {"$gte": "${start.date}", "$lt": "${end.date}"} (or "${start.iso}" / "${end.iso}" if values include a time)
+`;
+  } else {
+    const literal = dbType === "mysql" ? (b) => b.wall : (b) => b.local;
+    section += `Filter the most relevant date column with >= start AND < end, values in "params":
+   • start: "${literal(start)}"   end: "${literal(end)}"
+`;
   }
 
-  // Fix common JSON issues
-  text = text
-    .replace(/,(\s*[}\]])/g, "$1")
-    .replace(/'/g, '"');
+  return section + "\n";
+}
 
-  try {
-    const json = JSON.parse(text);
+// ============================================================================
+//  SQL DIALECTS – placeholder style, text matching and identifier quoting
+// ============================================================================
+const SQL_DIALECTS = {
+  postgresql: {
+    name: "PostgreSQL",
+    param: (n) => `$${n}`,
+    paramRule: "Use $1, $2, ... placeholders and put the values in \"params\" in the same order",
+    like: "ILIKE",
+    likeRule: "Use ILIKE with \"%value%\" params for text searches",
+    identRule: "Double-quote identifiers that contain capitals or spaces, e.g. \"firstName\"",
+  },
+  mysql: {
+    name: "MySQL",
+    param: () => "?",
+    paramRule: "Use ? placeholders and put the values in \"params\" in the same order (repeat a value if it is used twice)",
+    like: "LIKE",
+    likeRule: "Use LIKE with \"%value%\" params for text searches (MySQL collations are case-insensitive)",
+    identRule: "Quote identifiers with backticks when they are reserved words or contain spaces, e.g. `order`",
+  },
+};
+
+// ============================================================================
+//  BUILD SQL PROMPT (PostgreSQL, MySQL)
+// ============================================================================
+function buildSqlPrompt(userText, collections, collectionSchemas, dbType, schemaContext, context = {}) {
+  const { history = [], timeRange = null, readOnly = false } = context;
+  const dialect = SQL_DIALECTS[dbType] || SQL_DIALECTS.postgresql;
+  const p = dialect.param;
+  const availableTables =
+    collections.length > 0
+      ? collections.join(", ")
+      : Object.keys(collectionSchemas).join(", ") || "users";
+
+  // Repeated values need a second param with positional placeholders
+  const nameParams = p(1) === p(2) ? `["%Ram%", "%Ram%"]` : `["%Ram%"]`;
+
+  return `${schemaContext}You are an expert ${dialect.name} query generator with TRILINGUAL support.
+
+${LANGUAGE_GUIDE}
+
+📖 TRILINGUAL QUERY EXAMPLES:
+
+1. "Find all users" / "सभी users दिखाओ" / "सर्व users दाखव"
+   → {"action": "find", "table": "users", "sql": "SELECT * FROM users", "params": []}
+
+2. "Show email of Ram" / "Ram का email बताओ" / "Ram चा email सांग"
+   → {"action": "find", "table": "users", "sql": "SELECT email FROM users WHERE first_name ${dialect.like} ${p(1)} OR last_name ${dialect.like} ${p(1)}", "params": ${nameParams}}
+
+3. "Count all users" / "सभी users गिनो" / "सर्व users मोज"
+   → {"action": "aggregate", "table": "users", "sql": "SELECT COUNT(*) AS total FROM users", "params": []}
+
+4. "Show last 5 users" / "आखिरी 5 users"
+   → {"action": "find", "table": "users", "sql": "SELECT * FROM users ORDER BY id DESC LIMIT 5", "params": []}
+
+5. "Delete user with email test@example.com"
+   → {"action": "delete", "table": "users", "sql": "DELETE FROM users WHERE email = ${p(1)}", "params": ["test@example.com"]}
+
+🎯 CRITICAL SQL RULES:
+
+1. **SCHEMA ADHERENCE** - Use ONLY tables and columns from the schema above
+2. **PARAMETERS** - NEVER inline user values. ${dialect.paramRule}
+3. **ONE STATEMENT** - Exactly one statement, no semicolons, no comments
+4. **ACTION MATCHES STATEMENT**:
+   • find / aggregate → SELECT (aggregate for COUNT, SUM, AVG, GROUP BY)
+   • insert → INSERT, update → UPDATE, delete → DELETE
+5. **CASE INSENSITIVITY** - ${dialect.likeRule}
+6. **JOINS** - Use the foreign keys (🔗) above to join related tables
+7. **IDENTIFIERS** - ${dialect.identRule}
+8. **SAFETY** - UPDATE and DELETE must always have a WHERE clause
+
+📋 RESPONSE FORMAT - RETURN ONLY THIS JSON (NO MARKDOWN, NO EXPLANATIONS):
+
+{
+  "action": "find",
+  "table": "users",
+  "sql": "SELECT ... WHERE column = ${p(1)}",
+  "params": ["value"]
+}
+
+Valid actions: find, insert, update, delete, aggregate
 
-    // Validate required fields
-    if (!json.action) {
-      throw new Error("Missing 'action' field in response");
+🔍 AVAILABLE TABLES: ${availableTables}
+
+${buildReadOnlySection(readOnly, dbType)}${buildTimeRangeSection(timeRange, collectionSchemas, dbType)}${buildConversationSection(history)}👤 USER QUERY: "${userText}"
+
+CRITICAL INSTRUCTIONS:
+- Return ONLY valid JSON
+- NO markdown code blocks (no \`\`\`json)
+- NO explanations before or after
+- Use ONLY table and column names from the schema above
+- Every user-supplied value goes in "params", never inside "sql"`;
+}
+
+// ============================================================================
+//  PARSE RAW LLM OUTPUT
+// ============================================================================
+function parseJSONResponse(rawText, previewLimit, dbType, schema) {
+  const text = (rawText || "").trim();
+
+  console.log("🔍 Parsing LLM response...");
+
+  try {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (syntaxError) {
+      // Providers without structured output may wrap the object in prose or
+      // a code fence; take the outermost object as-is, never rewrite it
+      const start = text.indexOf("{");
+      const end = text.lastIndexOf("}");
+      if (start === -1 || end <= start) throw syntaxError;
+      json = JSON.parse(text.slice(start, end + 1));
     }
 
-    const collectionField = dbType === 'mongodb' ? 'collection' : 'table';
-    if (!json[collectionField] && !json.collection && !json.table) {
-      throw new Error(`Missing '${collectionField}' field in response`);
+    const schemaErrors = validateAgainstSchema(json, schema);
+    if (schemaErrors.length > 0) {
+      const schemaError = new Error(`Response does not match the action schema: ${schemaErrors.join("; ")}`);
+      schemaError.schemaErrors = schemaErrors;
+      throw schemaError;
     }
 
     // Set defaults for MongoDB
@@ -368,10 +698,6 @@ function parseJSONResponse(rawText, previewLimit, dbType) {
       json.options = json.options || {};
       json.options.limit = json.options.limit || previewLimit;
       json.query = json.query || {};
-      
-      if (json.options.projection && typeof json.options.projection !== 'object') {
-        json.options.projection = {};
-      }
     } else {
       json.limit = json.limit || previewLimit;
     }
@@ -382,10 +708,14 @@ function parseJSONResponse(rawText, previewLimit, dbType) {
     console.error("❌ JSON parsing failed:", error.message);
     console.error("📄 Raw text was:", text);
     
-    throw new Error(
+    const parseError = new Error(
       `Failed to parse AI response as JSON. ` +
-      `The AI returned invalid JSON format. ` +
+      (error.schemaErrors ? `The AI returned an action of the wrong shape. ` : `The AI returned invalid JSON format. `) +
       `Error: ${error.message}`
     );
+    // Lets the repair loop show the model exactly what it sent
+    parseError.stage = "parse";
+    parseError.rawText = rawText;
+    throw parseError;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,166 @@
+// ============================================================================
+// lib/auditlog.js - Append-only Audit Trail of Generated and Executed Queries
+// ============================================================================
+//
+// One event per generation, preview, dry run, explain, execution, undo and
+// applied validator: the prompt, the action, model and schema version,
+// outcome, counts, timing and error. Connections are recorded by their hashed
+// key, never the URI. Events are only ever appended; nothing here updates or
+// deletes them.
+//
+//   AUDIT_STORE       file (default) | mongodb
+//   AUDIT_FILE        JSON-lines file (default .dbagent/audit.jsonl)
+//   AUDIT_MONGO_URI   Connection for the mongodb store
+//   AUDIT_COLLECTION  Collection for the mongodb store (default dbagent_audit)
+
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import { withConnection } from "./adapters";
+import { logStep } from "./debug";
+
+export const AUDIT_KINDS = ["generate", "preview", "dry-run", "explain", "execute", "undo", "validator"];
+
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(process.cwd(), ".dbagent", "audit.jsonl");
+const AUDIT_COLLECTION = process.env.AUDIT_COLLECTION || "dbagent_audit";
+
+const COUNT_FIELDS = ["matchedCount", "modifiedCount", "upsertedCount", "deletedCount", "insertedCount", "restored"];
+
+const isMongoStore = () => process.env.AUDIT_STORE === "mongodb";
+
+/**
+ * Appends an event to the configured store
+ * @param {Object} event - { kind, status, requestId, connection, dbType, prompt, action, ... }
+ * @returns {Promise<Object>} The stored event with id and at
+ */
+export async function appendAuditEvent(event) {
+  const stored = { id: randomUUID(), at: new Date().toISOString(), ...event };
+
+  if (isMongoStore()) {
+    if (!process.env.AUDIT_MONGO_URI) throw new Error("AUDIT_MONGO_URI is required when AUDIT_STORE=mongodb");
+    // Actions are full of $-operators, which don't belong in field names
+    await withConnection(process.env.AUDIT_MONGO_URI, (client) =>
+      client.db().collection(AUDIT_COLLECTION).insertOne({ ...stored, action: JSON.stringify(stored.action ?? null) }));
+  } else {
+    await fs.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(stored) + "\n");
+  }
+
+  return stored;
+}
+
+/**
+ * Records an event without ever failing the request that caused it
+ * @returns {Promise<string|null>} Event id, or null if it couldn't be stored
+ */
+export async function recordAuditEvent(requestId, event) {
+  try {
+    const stored = await appendAuditEvent({ requestId, ...event });
+    return stored.id;
+  } catch (error) {
+    logStep(`[${requestId}] AUDIT EVENT FAILED`, { kind: event.kind, error: error.message }, error);
+    return null;
+  }
+}
+
+/**
+ * Newest-first events matching the filters
+ * @param {Object} filters - { kind, status, dbType, connection, q, from, to, limit }
+ * @returns {Promise<Object[]>}
+ */
+export async function listAuditEvents(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 200, 1), 5000);
+  if (isMongoStore()) return readMongoEvents(filters, limit);
+
+  const q = filters.q?.toLowerCase();
+  return (await readFileEvents())
+    .filter(event => ["kind", "status", "dbType", "connection"].every(key => !filters[key] || event[key] === filters[key]))
+    .filter(event => !filters.from || event.at >= filters.from)
+    .filter(event => !filters.to || event.at < filters.to)
+    .filter(event => !q || [event.prompt, event.error, event.model, JSON.stringify(event.action)]
+      .some(text => text?.toLowerCase().includes(q)))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+/**
+ * Short, stable fingerprint of the schema a prompt was built from
+ */
+export function schemaVersion(collectionSchemas) {
+  const names = Object.keys(collectionSchemas || {}).sort();
+  if (names.length === 0) return null;
+  const shape = names.map(name => [name, collectionSchemas[name].fields, collectionSchemas[name].fieldTypes]);
+  return createHash("sha256").update(JSON.stringify(shape)).digest("hex").slice(0, 12);
+}
+
+/**
+ * Row and write counts worth auditing from an adapter result
+ */
+export function summarizeCounts(result) {
+  if (Array.isArray(result)) return { returned: result.length };
+  if (!result || typeof result !== "object") return null;
+
+  const counts = {};
+  COUNT_FIELDS.forEach(field => {
+    if (typeof result[field] === "number") counts[field] = result[field];
+  });
+  if (Array.isArray(result.conflicts)) counts.conflicts = result.conflicts.length;
+  return Object.keys(counts).length > 0 ? counts : null;
+}
+
+/**
+ * Events as CSV with the action serialized into one column
+ */
+export function toCSV(events) {
+  const columns = ["at", "kind", "status", "dbType", "connection", "prompt", "model", "provider",
+    "schemaVersion", "durationMs", "counts", "error", "action", "id", "generatedBy", "requestId"];
+  const cell = (value) => {
+    if (value === undefined || value === null) return "";
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...events.map(event => columns.map(col => cell(event[col])).join(","))].join("\n");
+}
+
+async function readFileEvents() {
+  let text;
+  try {
+    text = await fs.readFile(AUDIT_FILE, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  // A torn last line (crash mid-append) shouldn't hide the rest of the log
+  return text.split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+async function readMongoEvents(filters, limit) {
+  const query = {};
+  ["kind", "status", "dbType", "connection"].forEach(key => {
+    if (filters[key]) query[key] = filters[key];
+  });
+  if (filters.from || filters.to) {
+    query.at = {};
+    if (filters.from) query.at.$gte = filters.from;
+    if (filters.to) query.at.$lt = filters.to;
+  }
+  if (filters.q) {
+    const pattern = { $regex: filters.q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    query.$or = [{ prompt: pattern }, { error: pattern }, { model: pattern }, { action: pattern }];
+  }
+
+  const events = await withConnection(process.env.AUDIT_MONGO_URI, (client) =>
+    client.db().collection(AUDIT_COLLECTION)
+      .find(query, { projection: { _id: 0 } })
+      .sort({ at: -1 })
+      .limit(limit)
+      .toArray());
+  return events.map(event => ({ ...event, action: JSON.parse(event.action) }));
+}
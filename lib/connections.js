@@ -0,0 +1,185 @@
+// ============================================================================
+// lib/connections.js - Server-Side Connection Settings
+// ============================================================================
+//
+// Settings the client must not be able to override per request, and the
+// saved connection profiles. The browser only ever holds a profile id; the
+// URI is encrypted at rest (AES-256-GCM) and only decrypted to connect.
+//
+//   DB_READ_ONLY=true    makes every connection read-only
+//   CONNECTIONS_FILE     Profile store (default .dbagent/connections.json)
+//   CONNECTIONS_SECRET   Encryption passphrase; without it a random key is
+//                        generated once into .dbagent/connections.key
+
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash, createCipheriv, createDecipheriv, randomBytes, randomUUID } from "crypto";
+import { getAdapter, closePool } from "./adapters";
+
+const CONNECTIONS_FILE = process.env.CONNECTIONS_FILE || path.join(process.cwd(), ".dbagent", "connections.json");
+const KEY_FILE = path.join(path.dirname(CONNECTIONS_FILE), "connections.key");
+
+const readOnlyConnections = new Set();
+
+/**
+ * Stable, non-reversible key for a connection URI
+ */
+export function connectionKey(uri) {
+  return createHash("sha256").update(uri).digest("hex").slice(0, 16);
+}
+
+/**
+ * Records the read-only choice made when the connection was opened
+ */
+export function setReadOnly(uri, readOnly) {
+  const key = connectionKey(uri);
+  if (readOnly) readOnlyConnections.add(key);
+  else readOnlyConnections.delete(key);
+}
+
+/**
+ * Whether writes must be refused for a connection
+ */
+export function isReadOnly(uri) {
+  if (process.env.DB_READ_ONLY === "true") return true;
+  return !!uri && readOnlyConnections.has(connectionKey(uri));
+}
+
+// ============================================================================
+// SAVED CONNECTIONS
+// ============================================================================
+
+/**
+ * Masks credentials in a URI, or in any text containing one (driver errors)
+ */
+export function redactURI(text) {
+  return String(text).replace(/([a-z][a-z0-9+.-]*:\/\/)[^@\s/]+@/gi, "$1***@");
+}
+
+/**
+ * Saved profiles without their URIs
+ * @returns {Promise<Object[]>} [{ id, name, dbType, label, host, readOnly, createdAt }]
+ */
+export async function listConnections() {
+  return (await readProfiles()).map(toPublic);
+}
+
+/**
+ * Saves a profile; the same URI updates its existing profile instead
+ * @param {Object} profile - { name, uri, readOnly }
+ * @returns {Promise<Object>} The public profile
+ */
+export async function saveConnection({ name, uri, readOnly = false }) {
+  const adapter = getAdapter(uri);
+  const key = connectionKey(uri);
+  const profiles = await readProfiles();
+  const existing = profiles.find(p => p.key === key);
+
+  const profile = {
+    id: existing?.id || randomUUID(),
+    key,
+    name: name?.trim() || existing?.name || describeHost(uri),
+    dbType: adapter.dbType,
+    label: adapter.label,
+    host: describeHost(uri),
+    readOnly: readOnly === true,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    secret: await encrypt(uri),
+  };
+
+  await writeProfiles([...profiles.filter(p => p.id !== profile.id), profile]);
+  setReadOnly(uri, profile.readOnly);
+  return toPublic(profile);
+}
+
+/**
+ * Removes a profile
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteConnection(id) {
+  const profiles = await readProfiles();
+  const profile = profiles.find(p => p.id === id);
+  if (!profile) return false;
+  await writeProfiles(profiles.filter(p => p.id !== id));
+  await closePool(await decrypt(profile.secret));
+  return true;
+}
+
+/**
+ * Decrypts a profile's URI for server-side use; never send the result back
+ * @returns {Promise<Object|null>} { ...profile, uri } or null if unknown
+ */
+export async function resolveConnection(id) {
+  if (!id) return null;
+  const profile = (await readProfiles()).find(p => p.id === id);
+  if (!profile) return null;
+
+  const uri = await decrypt(profile.secret);
+  // The saved choice survives restarts of the in-memory read-only set
+  setReadOnly(uri, profile.readOnly);
+  return { ...toPublic(profile), uri };
+}
+
+function toPublic({ id, name, dbType, label, host, readOnly, createdAt }) {
+  return { id, name, dbType, label, host, readOnly, createdAt };
+}
+
+/**
+ * host[:port]/database, without scheme or credentials
+ */
+function describeHost(uri) {
+  return redactURI(uri).replace(/^[^:]+:\/\/(\*\*\*@)?/, "").split("?")[0];
+}
+
+async function readProfiles() {
+  try {
+    return JSON.parse(await fs.readFile(CONNECTIONS_FILE, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function writeProfiles(profiles) {
+  await fs.mkdir(path.dirname(CONNECTIONS_FILE), { recursive: true });
+  await fs.writeFile(CONNECTIONS_FILE, JSON.stringify(profiles, null, 2), { mode: 0o600 });
+}
+
+let cachedKey = null;
+
+async function encryptionKey() {
+  if (cachedKey) return cachedKey;
+
+  if (process.env.CONNECTIONS_SECRET) {
+    cachedKey = createHash("sha256").update(process.env.CONNECTIONS_SECRET).digest();
+    return cachedKey;
+  }
+
+  try {
+    cachedKey = Buffer.from(await fs.readFile(KEY_FILE, "utf8"), "base64");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    cachedKey = randomBytes(32);
+    await fs.mkdir(path.dirname(KEY_FILE), { recursive: true });
+    await fs.writeFile(KEY_FILE, cachedKey.toString("base64"), { mode: 0o600 });
+  }
+  return cachedKey;
+}
+
+async function encrypt(text) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", await encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString("base64")).join(".");
+}
+
+async function decrypt(secret) {
+  const [iv, tag, data] = secret.split(".").map(part => Buffer.from(part, "base64"));
+  const decipher = createDecipheriv("aes-256-gcm", await encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    throw new Error("Saved connection can't be decrypted; was CONNECTIONS_SECRET changed?");
+  }
+}
@@ -1,22 +1,31 @@
-import mongoose from "mongoose";
 import { MongoClient } from "mongodb";
+import pg from "pg";
+import mysql from "mysql2/promise";
 
 /**
- * connectWithMongoose(uri) - used to validate connection
+ * getNativeMongoClient(uri) - returns a native mongodb client (modern driver)
+ * The client is itself a connection pool of up to maxPoolSize sockets
  */
-export async function connectWithMongoose(uri) {
+export async function getNativeMongoClient(uri, { maxPoolSize } = {}) {
   if (!uri) throw new Error("Mongo URI required");
-  if (mongoose.connection.readyState === 1) return mongoose;
-  await mongoose.connect(uri);
-  return mongoose;
+  const client = new MongoClient(uri, maxPoolSize ? { maxPoolSize } : {});
+  await client.connect();
+  return client;
 }
 
 /**
- * getNativeMongoClient(uri) - returns a native mongodb client (modern driver)
+ * getPgPool(uri) - returns a node-postgres pool; connects lazily on checkout
  */
-export async function getNativeMongoClient(uri) {
-  if (!uri) throw new Error("Mongo URI required");
-  const client = new MongoClient(uri);
-  await client.connect();
-  return client;
-}
\ No newline at end of file
+export function getPgPool(uri, { max = 5 } = {}) {
+  if (!uri) throw new Error("PostgreSQL URI required");
+  return new pg.Pool({ connectionString: uri, max });
+}
+
+/**
+ * getMysqlPool(uri) - returns a mysql2 (promise) pool; connects lazily on checkout
+ * Works for MariaDB too; multiple statements stay disabled
+ */
+export function getMysqlPool(uri, { max = 5 } = {}) {
+  if (!uri) throw new Error("MySQL URI required");
+  return mysql.createPool({ uri, multipleStatements: false, connectionLimit: max });
+}
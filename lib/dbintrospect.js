@@ -2,178 +2,20 @@
 // lib/dbIntrospect.js - Database Introspection Engine
 // ============================================================================
 
-import { getNativeMongoClient } from "./db";
+import { withConnection } from "./adapters";
+import { inferSchema } from "./inferschema";
+import { sampleDocuments } from "./adapters/mongodb";
+import { connectionKey } from "./connections";
+import { recordSnapshot } from "./schemasnapshots";
 
 /**
- * Scans the entire MongoDB database and returns schema information
- * @param {string} uri - MongoDB connection URI
+ * Scans the entire database behind the URI and returns schema information.
+ * The adapter for the URI scheme does the actual work.
+ * @param {string} uri - Connection URI (mongodb://, postgres://, mysql://)
  * @returns {Promise<Object>} Database metadata
  */
 export async function scanDatabase(uri) {
-  let client = null;
-  
-  try {
-    console.log("🔍 Starting database introspection...");
-    
-    client = await getNativeMongoClient(uri);
-    const db = client.db();
-    
-    // Get all collection names
-    const collections = await db.listCollections().toArray();
-    console.log(`📂 Found ${collections.length} collections`);
-    
-    const dbInfo = [];
-    
-    for (const col of collections) {
-      try {
-        const collection = db.collection(col.name);
-        
-        // Sample multiple documents for better schema detection
-        const sampleDocs = await collection.find({}).limit(10).toArray();
-        
-        // Get collection stats (use countDocuments instead of stats)
-        const count = await collection.countDocuments();
-        
-        // Get indexes
-        const indexes = await collection.indexes();
-        
-        // Infer schema from sample documents
-        const schema = inferSchema(sampleDocs);
-        
-        dbInfo.push({
-          name: col.name,
-          fields: schema.fields,
-          fieldTypes: schema.fieldTypes,
-          sampleValues: schema.sampleValues,
-          indexes: indexes.map(idx => ({
-            name: idx.name,
-            keys: Object.keys(idx.key),
-            unique: idx.unique || false
-          })),
-          documentCount: count,
-          avgDocSize: 0, // Not available without stats
-          storageSize: 0 // Not available without stats
-        });
-        
-        console.log(`  ✅ ${col.name}: ${count} documents, ${schema.fields.length} fields`);
-      } catch (err) {
-        console.error(`  ❌ Failed to analyze ${col.name}:`, err.message);
-      }
-    }
-    
-    await client.close();
-    console.log("✅ Database introspection complete");
-    
-    return {
-      collections: dbInfo,
-      totalCollections: dbInfo.length,
-      totalDocuments: dbInfo.reduce((sum, c) => sum + c.documentCount, 0),
-      scannedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    if (client) {
-      try {
-        await client.close();
-      } catch (closeErr) {
-        console.error("Failed to close client:", closeErr);
-      }
-    }
-    throw error;
-  }
-}
-
-/**
- * Infer schema from sample documents
- * @param {Array} documents - Sample documents
- * @returns {Object} Schema information
- */
-function inferSchema(documents) {
-  if (!documents || documents.length === 0) {
-    return {
-      fields: [],
-      fieldTypes: {},
-      sampleValues: {}
-    };
-  }
-  
-  const fieldTypes = {};
-  const sampleValues = {};
-  const fieldSet = new Set();
-  
-  // Analyze each document
-  documents.forEach(doc => {
-    Object.entries(doc).forEach(([key, value]) => {
-      fieldSet.add(key);
-      
-      // Determine type
-      const type = getFieldType(value);
-      
-      if (!fieldTypes[key]) {
-        fieldTypes[key] = new Set();
-      }
-      fieldTypes[key].add(type);
-      
-      // Store sample value (first non-null)
-      if (!sampleValues[key] && value !== null && value !== undefined) {
-        sampleValues[key] = formatSampleValue(value, type);
-      }
-    });
-  });
-  
-  // Convert Sets to arrays for JSON serialization
-  const fields = Array.from(fieldSet);
-  const fieldTypesObj = {};
-  
-  fields.forEach(field => {
-    fieldTypesObj[field] = Array.from(fieldTypes[field]);
-  });
-  
-  return {
-    fields,
-    fieldTypes: fieldTypesObj,
-    sampleValues
-  };
-}
-
-/**
- * Determine field type
- */
-function getFieldType(value) {
-  if (value === null || value === undefined) return "null";
-  if (Array.isArray(value)) return "array";
-  if (value instanceof Date) return "date";
-  if (typeof value === "object") return "object";
-  if (typeof value === "number") {
-    return Number.isInteger(value) ? "integer" : "double";
-  }
-  if (typeof value === "boolean") return "boolean";
-  if (typeof value === "string") {
-    // Detect special string types
-    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return "date-string";
-    if (/^[a-f0-9]{24}$/.test(value)) return "objectid-string";
-    if (value.includes("@")) return "email";
-    return "string";
-  }
-  return "unknown";
-}
-
-/**
- * Format sample value for display
- */
-function formatSampleValue(value, type) {
-  if (type === "array") {
-    return Array.isArray(value) ? `[${value.length} items]` : "[]";
-  }
-  if (type === "object") {
-    return `{${Object.keys(value).length} keys}`;
-  }
-  if (type === "date") {
-    return value.toISOString();
-  }
-  if (typeof value === "string" && value.length > 50) {
-    return value.substring(0, 47) + "...";
-  }
-  return value;
+  return withConnection(uri, (client, adapter) => adapter.introspect(client));
 }
 
 /**
@@ -252,38 +94,30 @@ When user mentions these terms, map to actual field names above:
  * @returns {Promise<Object>} Collection schemas
  */
 export async function getCollectionSchemas(uri, collectionNames) {
-  let client = null;
-  
-  try {
-    client = await getNativeMongoClient(uri);
+  return withConnection(uri, async (client) => {
     const db = client.db();
     
     const schemas = {};
     
     for (const name of collectionNames) {
       const collection = db.collection(name);
-      const sampleDocs = await collection.find({}).limit(5).toArray();
+      const sampleDocs = await sampleDocuments(collection, await collection.countDocuments());
       const schema = inferSchema(sampleDocs);
       
       schemas[name] = {
         fields: schema.fields,
         fieldTypes: schema.fieldTypes,
-        sampleValues: schema.sampleValues
+        sampleValues: schema.sampleValues,
+        occurrence: schema.occurrence,
+        typeDistribution: schema.typeDistribution,
+        fieldStats: schema.fieldStats,
+        arrayTypes: schema.arrayTypes,
+        sampleSize: schema.sampleSize
       };
     }
     
-    await client.close();
     return schemas;
-  } catch (error) {
-    if (client) {
-      try {
-        await client.close();
-      } catch (closeErr) {
-        console.error("Failed to close client:", closeErr);
-      }
-    }
-    throw error;
-  }
+  });
 }
 
 /**
@@ -298,50 +132,108 @@ function formatBytes(bytes) {
 }
 
 /**
- * Cache for DB metadata (in-memory)
+ * Cache for DB metadata (in-memory), one entry per connection + database,
+ * least recently used evicted first
+ *   INTROSPECT_CACHE_TTL_MS       Entry lifetime (default 5 minutes)
+ *   INTROSPECT_CACHE_MAX_ENTRIES  Entries kept at most (default 20)
  */
-let dbMetadataCache = {
-  data: null,
-  timestamp: null,
-  ttl: 5 * 60 * 1000 // 5 minutes
-};
+const dbMetadataCache = new Map();
+const pendingScans = new Map();
+const CACHE_TTL_MS = parseInt(process.env.INTROSPECT_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.INTROSPECT_CACHE_MAX_ENTRIES, 10) || 20;
 
 /**
- * Get cached DB metadata or scan if needed
- * @param {string} uri - MongoDB URI
+ * Connection hash plus database name, e.g. "3f2a9c01d4e5b6a7:shop"
+ */
+export function metadataCacheKey(uri) {
+  let database = "";
+  try {
+    database = decodeURIComponent(new URL(uri).pathname.replace(/^\//, ""));
+  } catch {
+    // Unparseable URIs still get their own entry through the hash
+  }
+  return `${connectionKey(uri)}:${database || "(default)"}`;
+}
+
+/**
+ * Get cached DB metadata or scan if needed, reporting which happened
+ * @param {string} uri - Database connection URI
  * @param {boolean} forceRefresh - Force re-scan
- * @returns {Promise<Object>} Database metadata
+ * @returns {Promise<Object>} { metadata, cache: { status: hit|miss|refresh, key, ageMs, ttlMs } }
  */
-export async function getCachedDBMetadata(uri, forceRefresh = false) {
+export async function lookupDBMetadata(uri, forceRefresh = false) {
+  const key = metadataCacheKey(uri);
+  const entry = dbMetadataCache.get(key);
   const now = Date.now();
-  
-  // Return cache if valid
-  if (
-    !forceRefresh &&
-    dbMetadataCache.data &&
-    dbMetadataCache.timestamp &&
-    (now - dbMetadataCache.timestamp) < dbMetadataCache.ttl
-  ) {
-    console.log("✅ Using cached DB metadata");
-    return dbMetadataCache.data;
+
+  if (!forceRefresh && entry && now - entry.timestamp < CACHE_TTL_MS) {
+    // Re-insert so Map order tracks recency
+    dbMetadataCache.delete(key);
+    dbMetadataCache.set(key, entry);
+    console.log(`✅ Using cached DB metadata (${key})`);
+    return { metadata: entry.data, cache: { status: "hit", key, ageMs: now - entry.timestamp, ttlMs: CACHE_TTL_MS } };
+  }
+
+  // Concurrent misses for the same database share one scan
+  if (!pendingScans.has(key)) {
+    console.log(`🔄 Refreshing DB metadata cache (${key})...`);
+    pendingScans.set(key, scanDatabase(uri)
+      .then(attachSnapshot.bind(null, key))
+      .then((metadata) => {
+        dbMetadataCache.delete(key);
+        dbMetadataCache.set(key, { data: metadata, timestamp: Date.now() });
+        while (dbMetadataCache.size > CACHE_MAX_ENTRIES) {
+          dbMetadataCache.delete(dbMetadataCache.keys().next().value);
+        }
+        return metadata;
+      })
+      .finally(() => pendingScans.delete(key)));
+  }
+
+  const metadata = await pendingScans.get(key);
+  return { metadata, cache: { status: forceRefresh ? "refresh" : "miss", key, ageMs: 0, ttlMs: CACHE_TTL_MS } };
+}
+
+/**
+ * Saves the scan as a schema snapshot and notes what drifted since the last
+ * one on the metadata; a failed write never fails the scan
+ */
+async function attachSnapshot(key, metadata) {
+  try {
+    const { snapshot, diff, created } = await recordSnapshot(key, metadata);
+    metadata.snapshot = { id: snapshot.id, created };
+    metadata.drift = diff && diff.totalChanges > 0 ? diff : null;
+    if (metadata.drift) console.log(`⚠️ Schema drift (${key}): ${diff.totalChanges} change(s) since ${diff.from.scannedAt}`);
+  } catch (snapshotErr) {
+    console.error("Failed to save schema snapshot:", snapshotErr.message);
   }
-  
-  // Scan database
-  console.log("🔄 Refreshing DB metadata cache...");
-  const metadata = await scanDatabase(uri);
-  
-  // Update cache
-  dbMetadataCache.data = metadata;
-  dbMetadataCache.timestamp = now;
-  
   return metadata;
 }
 
 /**
- * Clear metadata cache
+ * Get cached DB metadata or scan if needed
+ * @param {string} uri - Database connection URI
+ * @param {boolean} forceRefresh - Force re-scan
+ * @returns {Promise<Object>} Database metadata
+ */
+export async function getCachedDBMetadata(uri, forceRefresh = false) {
+  return (await lookupDBMetadata(uri, forceRefresh)).metadata;
+}
+
+/**
+ * Clear metadata cache for one connection (every database on it) or all
+ * @param {string} [uri] - Connection URI; omit to clear everything
+ * @returns {number} Entries removed
  */
-export function clearDBMetadataCache() {
-  dbMetadataCache.data = null;
-  dbMetadataCache.timestamp = null;
-  console.log("🗑️ DB metadata cache cleared");
-}
\ No newline at end of file
+export function clearDBMetadataCache(uri) {
+  const prefix = uri ? `${connectionKey(uri)}:` : "";
+  let cleared = 0;
+  Array.from(dbMetadataCache.keys()).forEach((key) => {
+    if (key.startsWith(prefix)) {
+      dbMetadataCache.delete(key);
+      cleared += 1;
+    }
+  });
+  console.log(`🗑️ DB metadata cache cleared (${uri ? prefix.slice(0, -1) : "all"}: ${cleared})`);
+  return cleared;
+}
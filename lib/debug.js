@@ -3,6 +3,8 @@
  * Import in your routes to log exactly what's happening
  */
 
+import { checkQueryPolicy } from "./querypolicy";
+
 export function logStep(step, data, error = null) {
   const timestamp = new Date().toISOString();
   const status = error ? "❌ ERROR" : "✅ OK";
@@ -44,8 +46,246 @@ export function validateAction(action) {
     errors.push("Aggregate action must have 'pipeline' array");
   }
 
+  // Denied operators, oversized pipelines and unbounded joins
+  errors.push(...checkQueryPolicy(action).errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Lists query/projection fields of a MongoDB action that the schema doesn't know.
+ * Dotted paths ("address.city", "items.0.price", "items.$.qty") are checked
+ * against the inferred nested paths; below an object/array whose children were
+ * never sampled any subpath is accepted.
+ * @param {Object} action - Parsed action
+ * @param {string[]} availableFields - Field paths from introspection
+ * @param {Object} fieldTypes - Path → types, to tell opaque objects apart
+ * @returns {Object} { queryFields, projectionFields } - unknown names only
+ */
+export function findUnknownFields(action, availableFields = [], fieldTypes = {}) {
+  const known = new Set(availableFields);
+  const isKnown = (field) => {
+    // Array indexes and positional operators are not part of the schema path
+    const segments = field.split(".").filter(segment => !/^\d+$/.test(segment) && !segment.startsWith("$"));
+    const path = segments.join(".");
+    if (segments[0] === "_id" || known.has(path)) return true;
+
+    for (let i = segments.length - 1; i > 0; i--) {
+      const parent = segments.slice(0, i).join(".");
+      if (!known.has(parent)) continue;
+      const types = fieldTypes[parent];
+      const opaque = !availableFields.some(other => other.startsWith(`${parent}.`));
+      // Without type info keep the old root-only check
+      return !types || (opaque && types.some(type => type === "object" || type === "array"));
+    }
+    return false;
+  };
+
+  const queryFields = [];
+  const walk = (query) => {
+    Object.entries(query || {}).forEach(([key, value]) => {
+      // $and/$or/$nor hold sub-queries; other operators are skipped
+      if (["$and", "$or", "$nor"].includes(key) && Array.isArray(value)) {
+        value.forEach(walk);
+      } else if (!key.startsWith("$") && !isKnown(key) && !queryFields.includes(key)) {
+        queryFields.push(key);
+      }
+    });
+  };
+  walk(action.query);
+
+  const projectionFields = Object.keys(action.options?.projection || {}).filter(field => !isKnown(field));
+
+  return { queryFields, projectionFields };
+}
+
+/**
+ * Lists collections a pipeline joins ($lookup, $graphLookup, $unionWith) that
+ * introspection didn't find, including joins inside sub-pipelines
+ * @param {Object} action - Parsed action
+ * @param {string[]} collections - Collection names from introspection
+ * @returns {string[]} Unknown collection names
+ */
+export function findUnknownCollections(action, collections = []) {
+  const unknown = [];
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, child]) => {
+        if (["$lookup", "$graphLookup"].includes(key)) {
+          if (typeof child?.from === "string" && !collections.includes(child.from)) unknown.push(child.from);
+        } else if (key === "$unionWith") {
+          const coll = typeof child === "string" ? child : child?.coll;
+          if (typeof coll === "string" && !collections.includes(coll)) unknown.push(coll);
+        }
+        walk(child);
+      });
+    }
+  };
+  if (Array.isArray(action.pipeline)) walk(action.pipeline);
+  return [...new Set(unknown)];
+}
+
+// Collections this big get a warning before a full scan
+//   SCAN_WARN_DOCS   Document count (default 100000)
+//   SCAN_WARN_BYTES  Data size in bytes (default 256 MB)
+const SCAN_WARN_DOCS = parseInt(process.env.SCAN_WARN_DOCS, 10) || 100000;
+const SCAN_WARN_BYTES = parseInt(process.env.SCAN_WARN_BYTES, 10) || 256 * 1024 * 1024;
+
+/**
+ * Warns when a MongoDB query plan scans a whole large collection
+ * @param {Object} plan - explain("queryPlanner") output
+ * @param {Object} collection - Introspected { documentCount, dataSize, storageSize }
+ * @returns {string|null} Warning text, or null when indexed or small
+ */
+export function collectionScanWarning(plan, collection) {
+  if (!plan || !collection) return null;
+  const documentCount = collection.documentCount || 0;
+  const size = collection.dataSize || collection.storageSize || 0;
+  if (documentCount < SCAN_WARN_DOCS && size < SCAN_WARN_BYTES) return null;
+
+  // Only the winning plans count; rejected plans often include a COLLSCAN
+  const scans = (node) => {
+    if (Array.isArray(node)) return node.some(scans);
+    if (!node || typeof node !== "object") return false;
+    if (node.stage === "COLLSCAN") return true;
+    return Object.entries(node).some(([key, child]) => key !== "rejectedPlans" && scans(child));
+  };
+  if (!scans(plan)) return null;
+
+  return `No index matches this query; it will scan all ${documentCount.toLocaleString()} documents` +
+    (size > 0 ? ` (${Math.round(size / (1024 * 1024)).toLocaleString()} MB)` : "");
+}
+
+const WRITE_ACTIONS = ["insert", "update", "delete"];
+const WRITE_STAGES = ["$out", "$merge"];
+
+/**
+ * Rejects anything that could write on a read-only connection: write actions
+ * and $out/$merge stages anywhere in a pipeline (including $facet/$lookup)
+ * @param {Object} action - Parsed action (MongoDB or SQL)
+ * @returns {Object} { valid, errors }
+ */
+export function validateReadOnly(action) {
+  const errors = [];
+
+  if (WRITE_ACTIONS.includes(action.action)) {
+    errors.push(`'${action.action}' is not allowed on a read-only connection`);
+  }
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${path}[${i}]`));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, child]) => {
+        if (WRITE_STAGES.includes(key)) {
+          errors.push(`${path}.${key}: write stage is not allowed on a read-only connection`);
+        }
+        walk(child, `${path}.${key}`);
+      });
+    }
+  };
+  if (Array.isArray(action.pipeline)) walk(action.pipeline, "pipeline");
+
   return {
     valid: errors.length === 0,
     errors,
   };
-}
\ No newline at end of file
+}
+
+const SQL_STATEMENTS = {
+  find: ["SELECT", "WITH"],
+  aggregate: ["SELECT", "WITH"],
+  insert: ["INSERT"],
+  update: ["UPDATE"],
+  delete: ["DELETE"],
+};
+
+/**
+ * Validates a SQL action ({ action, table, sql, params }) before execution.
+ * The statement must be a single statement whose verb matches the action,
+ * and every placeholder must have a bound parameter.
+ */
+export function validateSqlAction(action, dbType = "postgresql") {
+  const errors = [];
+
+  if (!action.action) errors.push("Missing 'action' field");
+  if (!action.table) errors.push("Missing 'table' field");
+  if (!action.sql || typeof action.sql !== "string") errors.push("Missing 'sql' field");
+  if (action.params !== undefined && !Array.isArray(action.params)) errors.push("'params' must be an array");
+
+  const validActions = Object.keys(SQL_STATEMENTS);
+  if (action.action && !validActions.includes(action.action)) {
+    errors.push(`Invalid action '${action.action}'. Must be: ${validActions.join(", ")}`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  const sql = stripSqlLiterals(action.sql, dbType).trim().replace(/;\s*$/, "");
+
+  if (sql.includes(";")) {
+    errors.push("Multiple SQL statements are not allowed - BLOCKED");
+  }
+
+  const verb = (sql.match(/^\s*\(?\s*([a-z]+)/i) || [])[1]?.toUpperCase();
+  const allowed = SQL_STATEMENTS[action.action];
+  if (!allowed.includes(verb)) {
+    errors.push(`Action '${action.action}' requires a ${allowed.join("/")} statement, got '${verb || "nothing"}'`);
+  }
+
+  if (action.action === "delete" && !/\bWHERE\b/i.test(sql)) {
+    errors.push("DELETE without WHERE would delete entire table - BLOCKED");
+  }
+
+  if (action.action === "update" && !/\bWHERE\b/i.test(sql)) {
+    errors.push("UPDATE without WHERE would update entire table - BLOCKED");
+  }
+
+  const params = action.params || [];
+  const placeholders = countPlaceholders(sql, dbType);
+  if (placeholders !== params.length) {
+    errors.push(`SQL uses ${placeholders} placeholder(s) but ${params.length} param(s) were given`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Blank out string literals, quoted identifiers and comments so keyword and
+ * semicolon checks only look at real SQL. MySQL also allows backslash
+ * escapes inside strings and # line comments.
+ */
+function stripSqlLiterals(sql, dbType) {
+  const isMysql = dbType === "mysql";
+  const tokens = [
+    isMysql ? /'(?:[^'\\]|\\.|'')*'/.source : /'(?:[^']|'')*'/.source,
+    /"(?:[^"]|"")*"/.source,
+    /--[^\n]*/.source,
+    /\/\*[\s\S]*?\*\//.source,
+    ...(isMysql ? [/`(?:[^`]|``)*`/.source, /#[^\n]*/.source] : []),
+  ];
+  // One pass, so whichever token starts first wins ('--' inside a string
+  // is a string, a quote inside a comment is a comment)
+  return sql.replace(new RegExp(tokens.join("|"), "g"), (token) => {
+    const quote = token[0];
+    return quote === "'" || quote === '"' || quote === "`" ? quote + quote : " ";
+  });
+}
+
+/**
+ * PostgreSQL numbers its placeholders ($1, $2, ...), MySQL uses positional ?
+ */
+function countPlaceholders(sql, dbType) {
+  if (dbType === "postgresql") {
+    const indexes = (sql.match(/\$\d+/g) || []).map((p) => parseInt(p.slice(1), 10));
+    return indexes.length > 0 ? Math.max(...indexes) : 0;
+  }
+  return (sql.match(/\?/g) || []).length;
+}
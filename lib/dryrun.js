@@ -0,0 +1,164 @@
+// ============================================================================
+// lib/dryrun.js - Update Simulation and Document Diffs for Dry Runs
+// ============================================================================
+//
+// Works on plain JSON (relaxed Extended JSON for MongoDB, rows for SQL) so the
+// before/after samples can be sent to the browser as-is.
+
+import { EJSON_TYPE_KEYS } from "./querypolicy";
+
+/**
+ * Applies MongoDB update operators to a copy of a document
+ * @param {Object} doc - Document as relaxed Extended JSON
+ * @param {Object} update - Update document ({ $set: ..., $inc: ... })
+ * @returns {Object} Updated copy
+ * @throws {Error} For pipeline updates, positional paths and operators it can't simulate
+ */
+export function applyUpdate(doc, update) {
+  if (Array.isArray(update)) {
+    throw new Error("Pipeline-style updates can't be simulated; only the match is previewed");
+  }
+
+  const result = JSON.parse(JSON.stringify(doc));
+
+  Object.entries(update || {}).forEach(([operator, fields]) => {
+    const apply = UPDATE_OPERATORS[operator];
+    if (!apply) throw new Error(`Update operator ${operator} can't be simulated`);
+    Object.entries(fields || {}).forEach(([path, value]) => {
+      // "items.$", "items.$[]" and "items.$[elem]" depend on the query match
+      // and arrayFilters; writing them as keys would hide the change
+      const positional = (operator === "$rename" ? [path, value] : [path])
+        .find(p => String(p).split(".").some(key => key.startsWith("$")));
+      if (positional) {
+        throw new Error(`Positional update path "${positional}" can't be simulated; only the match is previewed`);
+      }
+      apply(result, path, value);
+    });
+  });
+
+  return result;
+}
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, value),
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, value) => setPath(doc, path, numberAt(doc, path, value, "$inc") + value),
+  $mul: (doc, path, value) => setPath(doc, path, numberAt(doc, path, value, "$mul") * value),
+  $min: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) < 0) setPath(doc, path, value);
+  },
+  $max: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) > 0) setPath(doc, path, value);
+  },
+  $rename: (doc, path, newPath) => {
+    const current = getPath(doc, path);
+    if (current === undefined) return;
+    unsetPath(doc, path);
+    setPath(doc, newPath, current);
+  },
+  $currentDate: (doc, path) => setPath(doc, path, { $date: new Date().toISOString() }),
+  $push: (doc, path, value) => {
+    const items = value && typeof value === "object" && "$each" in value ? value.$each : [value];
+    setPath(doc, path, [...(getPath(doc, path) || []), ...items]);
+  },
+  $addToSet: (doc, path, value) => {
+    const items = value && typeof value === "object" && "$each" in value ? value.$each : [value];
+    const current = [...(getPath(doc, path) || [])];
+    items.forEach(item => {
+      if (!current.some(existing => JSON.stringify(existing) === JSON.stringify(item))) current.push(item);
+    });
+    setPath(doc, path, current);
+  },
+  $pull: (doc, path, value) => {
+    if (value && typeof value === "object" && Object.keys(value).some(key => key.startsWith("$"))) {
+      throw new Error("$pull with query operators can't be simulated");
+    }
+    const current = getPath(doc, path);
+    if (Array.isArray(current)) {
+      setPath(doc, path, current.filter(item => JSON.stringify(item) !== JSON.stringify(value)));
+    }
+  },
+  $pop: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (Array.isArray(current)) setPath(doc, path, value === -1 ? current.slice(1) : current.slice(0, -1));
+  },
+  // Only applies to upserts, which a dry run never performs
+  $setOnInsert: () => {},
+};
+
+/**
+ * Lists every leaf path whose value differs between two documents
+ * @returns {Array} [{ path, before, after }] - undefined means absent
+ */
+export function diffDocuments(before, after) {
+  const left = flatten(before);
+  const right = flatten(after);
+  const paths = Array.from(new Set([...Object.keys(left), ...Object.keys(right)]));
+
+  return paths
+    .filter(path => JSON.stringify(left[path]) !== JSON.stringify(right[path]))
+    .map(path => ({ path, before: left[path], after: right[path] }));
+}
+
+/**
+ * Dotted path → value; arrays and Extended JSON wrappers are leaves
+ */
+function flatten(value, prefix = "", out = {}) {
+  const isLeaf = !value || typeof value !== "object" || Array.isArray(value) ||
+    Object.keys(value).some(key => EJSON_TYPE_KEYS.includes(key));
+
+  if (isLeaf) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+
+  Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+  return out;
+}
+
+/**
+ * Current value for $inc/$mul (0 when missing). Decimal128 and large Long
+ * values arrive as Extended JSON wrappers, which plain arithmetic would mangle.
+ */
+function numberAt(doc, path, operand, operator) {
+  const current = getPath(doc, path) ?? 0;
+  if (typeof current !== "number" || typeof operand !== "number") {
+    throw new Error(`${operator} on ${path} can't be simulated for non-double values (Decimal128, Long, ...)`);
+  }
+  return current;
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== "object") node[key] = {};
+    return node[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join("."));
+  if (keys.length === 0) delete doc[last];
+  else if (parent && typeof parent === "object") delete parent[last];
+}
+
+/**
+ * Orders numbers, Extended JSON dates and strings for $min/$max
+ */
+function compareValues(a, b) {
+  const unwrap = (v) => (v && typeof v === "object" && v.$date ? Date.parse(v.$date) : v);
+  const x = unwrap(a);
+  const y = unwrap(b);
+  if (typeof x === "number" && typeof y === "number") return x - y;
+  return String(x).localeCompare(String(y));
+}
@@ -0,0 +1,271 @@
+// ============================================================================
+// lib/inferschema.js - Schema Inference from Sample Documents
+// ============================================================================
+
+const MAX_DEPTH = 5;
+const MAX_PATHS = 300;
+const MAX_DISTINCT = 500; // Distinct values tracked per path
+const TOP_VALUES = 10;
+const ENUM_MAX_VALUES = 12;
+
+/**
+ * Infer schema from sample documents, descending into embedded documents
+ * and arrays. Nested fields are reported as dotted paths ("address.city",
+ * "items.price") right after their parent, the way MongoDB queries them.
+ * @param {Array} documents - Sample documents
+ * @param {Object} options - { maxDepth, maxPaths }
+ * @returns {Object} { fields, fieldTypes, sampleValues, occurrence, typeDistribution, arrayTypes, fieldStats, sampleSize }
+ *   occurrence: path → % of sampled documents containing it
+ *   typeDistribution: path → { type: % of its values }
+ *   arrayTypes: path → element types of array fields
+ *   fieldStats: path → { count, nullRatio, cardinality, cardinalityCapped?, min?, max?, topValues?, enum? }
+ *     (scalar array elements count as values of the array's path)
+ */
+export function inferSchema(documents, { maxDepth = MAX_DEPTH, maxPaths = MAX_PATHS } = {}) {
+  if (!documents || documents.length === 0) {
+    return {
+      fields: [],
+      fieldTypes: {},
+      sampleValues: {},
+      occurrence: {},
+      typeDistribution: {},
+      arrayTypes: {},
+      fieldStats: {},
+      sampleSize: 0
+    };
+  }
+  
+  const fieldTypes = {};
+  const arrayTypes = {};
+  const sampleValues = {};
+  const counts = {};
+  const typeCounts = {};
+  const stats = {};
+  const fieldSet = new Set();
+
+  const record = (path, value, seen) => {
+    if (!fieldSet.has(path)) {
+      if (fieldSet.size >= maxPaths) return false;
+      fieldSet.add(path);
+      fieldTypes[path] = new Set();
+      counts[path] = 0;
+      typeCounts[path] = {};
+      stats[path] = newStats();
+    }
+    if (!seen.has(path)) {
+      seen.add(path);
+      counts[path] += 1;
+    }
+
+    // Determine type
+    const type = getFieldType(value);
+    fieldTypes[path].add(type);
+    typeCounts[path][type] = (typeCounts[path][type] || 0) + 1;
+    stats[path].count += 1;
+    if (value === null) stats[path].nulls += 1;
+    else observeValue(stats[path], value, type);
+
+    // Store sample value (first non-null)
+    if (sampleValues[path] === undefined && value !== null && value !== undefined) {
+      sampleValues[path] = formatSampleValue(value, type);
+    }
+    return true;
+  };
+
+  const visit = (object, prefix, depth, seen) => {
+    Object.entries(object).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (!record(path, value, seen)) return;
+
+      if (Array.isArray(value)) {
+        if (!arrayTypes[path]) arrayTypes[path] = new Set();
+        value.forEach(item => {
+          const itemType = getFieldType(item);
+          arrayTypes[path].add(itemType);
+          if (item !== null && itemType !== "object" && itemType !== "array") observeValue(stats[path], item, itemType);
+          // Fields of embedded documents in arrays are queried as "items.price"
+          if (itemType === "object" && depth < maxDepth) visit(item, path, depth + 1, seen);
+        });
+      } else if (getFieldType(value) === "object" && depth < maxDepth) {
+        visit(value, path, depth + 1, seen);
+      }
+    });
+  };
+
+  // Analyze each document
+  documents.forEach(doc => visit(doc, "", 1, new Set()));
+  
+  // Convert Sets to arrays for JSON serialization
+  const fields = Array.from(fieldSet);
+  const fieldTypesObj = {};
+  const occurrence = {};
+  const typeDistribution = {};
+  const arrayTypesObj = {};
+  const fieldStats = {};
+  
+  fields.forEach(field => {
+    fieldStats[field] = summarizeStats(stats[field]);
+    fieldTypesObj[field] = Array.from(fieldTypes[field]);
+    occurrence[field] = Math.round((counts[field] / documents.length) * 100);
+    const seen = Object.values(typeCounts[field]).reduce((sum, n) => sum + n, 0);
+    typeDistribution[field] = Object.fromEntries(
+      Object.entries(typeCounts[field]).map(([type, n]) => [type, Math.round((n / seen) * 100)])
+    );
+    if (arrayTypes[field]?.size > 0) arrayTypesObj[field] = Array.from(arrayTypes[field]);
+  });
+  
+  return {
+    fields,
+    fieldTypes: fieldTypesObj,
+    sampleValues,
+    occurrence,
+    typeDistribution,
+    arrayTypes: arrayTypesObj,
+    fieldStats,
+    sampleSize: documents.length
+  };
+}
+
+function newStats() {
+  return { count: 0, nulls: 0, distinct: new Map(), capped: false, strings: 0, others: 0, numMin: null, numMax: null, dateMin: null, dateMax: null };
+}
+
+/**
+ * Adds one non-null scalar value to a path's running statistics
+ */
+function observeValue(stat, value, type) {
+  if (type === "object" || type === "array") return;
+
+  const key = value instanceof Date ? value.toISOString() : value?._bsontype ? value.toString() : value;
+  if (stat.distinct.has(key)) stat.distinct.set(key, stat.distinct.get(key) + 1);
+  else if (stat.distinct.size < MAX_DISTINCT) stat.distinct.set(key, 1);
+  else stat.capped = true;
+
+  // Only free text counts towards enums; ids and date strings never are
+  if (type === "string" || type === "email") stat.strings += 1;
+  else stat.others += 1;
+
+  const number = typeof value === "number" ? value
+    : ["long", "int32", "double", "decimal128"].includes(type) ? Number(value.toString()) : null;
+  if (number !== null && Number.isFinite(number)) {
+    stat.numMin = stat.numMin === null ? number : Math.min(stat.numMin, number);
+    stat.numMax = stat.numMax === null ? number : Math.max(stat.numMax, number);
+  }
+
+  const time = type === "date" ? value.getTime() : type === "date-string" ? Date.parse(value) : NaN;
+  if (!Number.isNaN(time)) {
+    stat.dateMin = stat.dateMin === null ? time : Math.min(stat.dateMin, time);
+    stat.dateMax = stat.dateMax === null ? time : Math.max(stat.dateMax, time);
+  }
+}
+
+/**
+ * Running statistics → the JSON-friendly fieldStats entry
+ */
+function summarizeStats(stat) {
+  const summary = {
+    count: stat.count,
+    nullRatio: stat.count > 0 ? Math.round((stat.nulls / stat.count) * 100) / 100 : 0,
+    cardinality: stat.distinct.size,
+  };
+  if (stat.capped) summary.cardinalityCapped = true;
+
+  if (stat.numMin !== null) {
+    summary.min = stat.numMin;
+    summary.max = stat.numMax;
+  } else if (stat.dateMin !== null) {
+    summary.min = new Date(stat.dateMin).toISOString();
+    summary.max = new Date(stat.dateMax).toISOString();
+  }
+
+  // Low-cardinality text: list the values; repeated ones are an enum
+  const observed = stat.strings + stat.others;
+  if (stat.strings > 0 && stat.others === 0 && !stat.capped && stat.distinct.size <= ENUM_MAX_VALUES * 2) {
+    summary.topValues = Array.from(stat.distinct.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value: formatSampleValue(value, "string"), count }));
+    summary.enum = stat.distinct.size >= 2 && stat.distinct.size <= ENUM_MAX_VALUES && observed >= stat.distinct.size * 2;
+  }
+
+  return summary;
+}
+
+/**
+ * Types of a field for display, with array element types ("array<object>")
+ * @param {Object} schema - { fieldTypes, arrayTypes? }
+ * @param {string} field - Field path
+ */
+export function formatFieldType(schema, field) {
+  const types = schema.fieldTypes?.[field] || [];
+  const elements = schema.arrayTypes?.[field];
+  const shown = types.map(type => (type === "array" && elements ? `array<${elements.join(" | ")}>` : type));
+  return shown.join(" | ") || "unknown";
+}
+
+/**
+ * How far to trust a schema inferred from sampleSize of documentCount documents.
+ * A field present in a fraction p of documents is missed by n random samples
+ * with probability (1 - p)^n, so with 95% certainty the sample shows every
+ * field present in at least 1 - 0.05^(1/n) (about 3/n) of the documents.
+ * @returns {Object} { level: high|medium|low, coverage, missRate } - coverage and
+ *   missRate in percent; missRate is the rarest field frequency that could go unseen
+ */
+export function schemaConfidence(sampleSize, documentCount) {
+  if (!documentCount || sampleSize >= documentCount) {
+    return { level: "high", coverage: 100, missRate: 0 };
+  }
+  const coverage = Math.round((sampleSize / documentCount) * 1000) / 10;
+  const missRate = sampleSize > 0 ? Math.round((1 - Math.pow(0.05, 1 / sampleSize)) * 1000) / 10 : 100;
+
+  let level = "low";
+  if (missRate <= 5) level = "high";
+  else if (missRate <= 15) level = "medium";
+  return { level, coverage, missRate };
+}
+
+/**
+ * Determine field type
+ */
+function getFieldType(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Date) return "date";
+  // Driver BSON values (ObjectId, Decimal128, Long, ...) carry their type name
+  if (value._bsontype) return value._bsontype.toLowerCase();
+  if (typeof value === "object") return "object";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "double";
+  }
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "string") {
+    // Detect special string types
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return "date-string";
+    if (/^[a-f0-9]{24}$/.test(value)) return "objectid-string";
+    if (value.includes("@")) return "email";
+    return "string";
+  }
+  return "unknown";
+}
+
+/**
+ * Format sample value for display
+ */
+function formatSampleValue(value, type) {
+  if (type === "array") {
+    return Array.isArray(value) ? `[${value.length} items]` : "[]";
+  }
+  if (type === "object") {
+    return `{${Object.keys(value).length} keys}`;
+  }
+  if (type === "date") {
+    return value.toISOString();
+  }
+  if (value?._bsontype) {
+    return value.toString();
+  }
+  if (typeof value === "string" && value.length > 50) {
+    return value.substring(0, 47) + "...";
+  }
+  return value;
+}
@@ -0,0 +1,97 @@
+// ============================================================================
+// lib/providers/index.js - LLM Provider Registry
+// ============================================================================
+//
+// Every provider is a plain object with the same shape:
+//
+//   name         "ollama" | "openai" | "mock"
+//   label        Human-readable name for the UI
+//   defaults     { baseUrl, model }
+//   setupHint    What to tell the user when the provider is unreachable
+//   isAvailable  (config) => boolean
+//   generate     ({ ...config, prompt, format?, temperature, maxTokens }) => raw text
+//                (format is a JSON schema the output must follow, if supported)
+//   embed        Optional: ({ baseUrl, model, input: string[] }) => number[][]
+//                (local embeddings for schema retrieval, see lib/schemaretrieval.js)
+//
+// Configuration comes from the environment and can be overridden per request
+// (provider, model, temperature, maxTokens). Base URLs and API keys are only
+// ever read from the environment:
+//
+//   LLM_PROVIDER       ollama (default) | openai | mock
+//   LLM_MODEL          Model name for LLM_PROVIDER
+//   LLM_TEMPERATURE    Sampling temperature for query generation
+//   LLM_MAX_TOKENS     Token limit for query generation
+//   LLM_MAX_REPAIRS    Extra generation attempts when a query is rejected (default 2)
+//   OLLAMA_BASE_URL    Default http://localhost:11434
+//   OPENAI_BASE_URL    Default http://localhost:8080/v1 (llama.cpp server)
+//   OPENAI_API_KEY     Optional bearer token for the OpenAI-compatible server
+
+import { ollamaProvider } from "./ollama";
+import { openaiProvider } from "./openai";
+import { mockProvider } from "./mock";
+
+const providers = [ollamaProvider, openaiProvider, mockProvider];
+
+/**
+ * Looks a provider up by name
+ */
+export function getProvider(name) {
+  const provider = providers.find((p) => p.name === name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${providers.map((p) => p.name).join(", ")}`);
+  }
+  return provider;
+}
+
+/**
+ * Merges per-request overrides over the environment
+ * @param {Object} overrides - { provider, model, temperature, maxTokens }
+ * @returns {Object} { provider, label, baseUrl, model, temperature, maxTokens }
+ */
+export function resolveLLMConfig(overrides) {
+  // Request bodies can carry "llm": null
+  overrides = overrides || {};
+  const envProvider = process.env.LLM_PROVIDER || "ollama";
+  const provider = getProvider(overrides.provider || envProvider);
+
+  // LLM_MODEL belongs to LLM_PROVIDER; switching provider per request falls
+  // back to that provider's default model
+  const envModel = provider.name === envProvider ? process.env.LLM_MODEL : undefined;
+
+  return {
+    provider: provider.name,
+    label: provider.label,
+    baseUrl: provider.defaults.baseUrl,
+    model: overrides.model || envModel || provider.defaults.model,
+    temperature: parseTemperature(overrides.temperature ?? process.env.LLM_TEMPERATURE),
+    maxTokens: parseMaxTokens(overrides.maxTokens ?? process.env.LLM_MAX_TOKENS),
+  };
+}
+
+/**
+ * Client-safe view of a config (what the chat header shows)
+ */
+export function describeLLM(config) {
+  return {
+    provider: config.provider,
+    label: config.label,
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+  };
+}
+
+function parseTemperature(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return undefined;
+  return Math.min(Math.max(n, 0), 2);
+}
+
+function parseMaxTokens(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return undefined;
+  return Math.min(Math.max(n, 16), 8192);
+}
@@ -0,0 +1,38 @@
+// ============================================================================
+// lib/providers/mock.js - Deterministic Mock Provider (tests, offline demos)
+// ============================================================================
+//
+// Never calls a model. Set LLM_MOCK_RESPONSE to return a fixed string;
+// otherwise it answers every query prompt with a "find all" on the first
+// collection/table the prompt lists, and every preview prompt with a fixed
+// sentence. Same prompt in, same text out.
+
+export const mockProvider = {
+  name: "mock",
+  label: "Mock",
+  defaults: {
+    baseUrl: "",
+    model: "mock",
+  },
+  setupHint: "The mock provider is always available",
+  isAvailable: async () => true,
+  generate,
+};
+
+async function generate({ prompt }) {
+  if (process.env.LLM_MOCK_RESPONSE) return process.env.LLM_MOCK_RESPONSE;
+
+  if (prompt.includes("GENERATED QUERY:")) {
+    return "This query reads matching records from the database.";
+  }
+
+  const tables = prompt.match(/AVAILABLE TABLES: ([^\n]*)/);
+  if (tables) {
+    const table = tables[1].split(",")[0].trim();
+    return JSON.stringify({ action: "find", table, sql: `SELECT * FROM ${table}`, params: [] });
+  }
+
+  const collections = prompt.match(/AVAILABLE COLLECTIONS: ([^\n]*)/);
+  const collection = collections ? collections[1].split(",")[0].trim() : "users";
+  return JSON.stringify({ action: "find", collection, query: {} });
+}
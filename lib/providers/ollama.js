@@ -0,0 +1,88 @@
+// ============================================================================
+// lib/providers/ollama.js - Ollama Provider
+// ============================================================================
+
+export const ollamaProvider = {
+  name: "ollama",
+  label: "Ollama",
+  defaults: {
+    baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+    model: "qwen2.5-coder:7b",
+  },
+  setupHint: "1. Install from https://ollama.com\n2. Run: ollama serve\n3. Pull model: ollama pull <model>",
+  isAvailable,
+  generate,
+  embed,
+};
+
+/**
+ * Ollama answers /api/tags as soon as the server is up
+ */
+async function isAvailable({ baseUrl }) {
+  try {
+    const response = await fetch(`${baseUrl}/api/tags`, {
+      method: "GET",
+      signal: AbortSignal.timeout(3000),
+    });
+    return response.ok;
+  } catch (error) {
+    console.error("⚠️ Ollama check failed:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Single non-streaming completion via /api/generate. A JSON schema in
+ * `format` makes Ollama constrain decoding to that shape.
+ * @returns {Promise<string>} Raw model text
+ */
+async function generate({ baseUrl, model, prompt, format, temperature, maxTokens }) {
+  const response = await fetch(`${baseUrl}/api/generate`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model,
+      prompt,
+      stream: false,
+      ...(format && { format }),
+      options: {
+        temperature,
+        num_predict: maxTokens,
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.response;
+}
+
+/**
+ * Embeddings for several texts in one /api/embed call
+ * @returns {Promise<number[][]>} One vector per input
+ */
+async function embed({ baseUrl, model, input }) {
+  const response = await fetch(`${baseUrl}/api/embed`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ model, input }),
+    // Optional step; a slow or missing model must not hold up the query
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.embeddings;
+}
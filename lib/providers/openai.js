@@ -0,0 +1,93 @@
+// ============================================================================
+// lib/providers/openai.js - OpenAI-Compatible Provider (llama.cpp, vLLM, ...)
+// ============================================================================
+
+export const openaiProvider = {
+  name: "openai",
+  label: "OpenAI-compatible",
+  defaults: {
+    baseUrl: process.env.OPENAI_BASE_URL || "http://localhost:8080/v1",
+    model: "qwen2.5-coder-7b-instruct",
+  },
+  setupHint: "Start an OpenAI-compatible server (llama.cpp: llama-server -m model.gguf, vLLM: vllm serve <model>) and set OPENAI_BASE_URL",
+  isAvailable,
+  generate,
+  embed,
+};
+
+function headers() {
+  const result = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_API_KEY) result.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  return result;
+}
+
+/**
+ * Every OpenAI-compatible server lists its models at /models
+ */
+async function isAvailable({ baseUrl }) {
+  try {
+    const response = await fetch(`${baseUrl}/models`, {
+      method: "GET",
+      headers: headers(),
+      signal: AbortSignal.timeout(3000),
+    });
+    return response.ok;
+  } catch (error) {
+    console.error("⚠️ OpenAI-compatible server check failed:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Single chat completion with the prompt as the only user message. A JSON
+ * schema in `format` is sent as a json_schema response_format, which
+ * llama.cpp and vLLM turn into a decoding grammar.
+ * @returns {Promise<string>} Raw model text
+ */
+async function generate({ baseUrl, model, prompt, format, temperature, maxTokens }) {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: headers(),
+    body: JSON.stringify({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+      stream: false,
+      ...(format && {
+        response_format: { type: "json_schema", json_schema: { name: "db_action", schema: format } },
+      }),
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenAI-compatible API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Embeddings for several texts via /embeddings (llama.cpp needs --embeddings)
+ * @returns {Promise<number[][]>} One vector per input
+ */
+async function embed({ baseUrl, model, input }) {
+  const response = await fetch(`${baseUrl}/embeddings`, {
+    method: "POST",
+    headers: headers(),
+    body: JSON.stringify({ model, input }),
+    // Optional step; a slow or missing model must not hold up the query
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenAI-compatible API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  // Results may come back out of order; index says where each belongs
+  return (data.data || []).slice().sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
@@ -0,0 +1,138 @@
+// ============================================================================
+// lib/querypolicy.js - Operator Policy for MongoDB Queries and Pipelines
+// ============================================================================
+//
+// Walks query, update, options and pipeline documents recursively and rejects
+// denied operators/stages, oversized or deeply nested pipelines and too many
+// $lookups. Every error names the path of the offending operator, e.g.
+// "pipeline[1].$lookup.pipeline[0].$match.$where".
+//
+//   QUERY_POLICY_DENY        Extra operators to deny ("$regex,$text")
+//   QUERY_POLICY_ALLOW       Operators to lift from the default deny list ("$out")
+//   QUERY_POLICY_ALLOW_ONLY  Strict allowlist: any operator not listed is denied
+//   QUERY_POLICY_MAX_STAGES  Max stages per pipeline (default 20)
+//   QUERY_POLICY_MAX_DEPTH   Max nesting of sub-pipelines (default 3)
+//   QUERY_POLICY_MAX_LOOKUPS Max $lookup/$graphLookup/$unionWith stages (default 3)
+
+// Server-side JavaScript, writes and server introspection
+const DEFAULT_DENY = [
+  "$where", "$function", "$accumulator",
+  "$out", "$merge",
+  "$currentOp", "$listSessions", "$listLocalSessions", "$planCacheStats",
+];
+
+const JOIN_STAGES = ["$lookup", "$graphLookup", "$unionWith"];
+
+// Extended JSON type wrappers are values, not operators; the Mongo adapter
+// turns exactly these into driver types
+export const EJSON_TYPE_KEYS = [
+  "$oid", "$date", "$numberDecimal", "$numberLong", "$numberInt", "$numberDouble",
+  "$binary", "$uuid", "$timestamp", "$minKey", "$maxKey", "$regularExpression",
+];
+
+const parseList = (value) =>
+  (value || "").split(",").map(s => s.trim()).filter(Boolean);
+
+/**
+ * Policy from the environment
+ * @returns {Object} { deny, allowOnly, maxStages, maxDepth, maxLookups }
+ */
+export function loadQueryPolicy() {
+  const allow = parseList(process.env.QUERY_POLICY_ALLOW);
+  const allowOnly = parseList(process.env.QUERY_POLICY_ALLOW_ONLY);
+
+  return {
+    deny: new Set([...DEFAULT_DENY, ...parseList(process.env.QUERY_POLICY_DENY)].filter(op => !allow.includes(op))),
+    allowOnly: allowOnly.length > 0 ? new Set(allowOnly) : null,
+    maxStages: parseInt(process.env.QUERY_POLICY_MAX_STAGES, 10) || 20,
+    maxDepth: parseInt(process.env.QUERY_POLICY_MAX_DEPTH, 10) || 3,
+    maxLookups: parseInt(process.env.QUERY_POLICY_MAX_LOOKUPS, 10) || 3,
+  };
+}
+
+/**
+ * Checks every operator in a MongoDB action against the policy
+ * @param {Object} action - Parsed action
+ * @param {Object} policy - From loadQueryPolicy()
+ * @returns {Object} { valid, errors }
+ */
+export function checkQueryPolicy(action, policy = loadQueryPolicy()) {
+  const errors = [];
+  let lookups = 0;
+
+  const checkOperator = (key, path) => {
+    if (policy.deny.has(key)) {
+      errors.push(`${path}: operator ${key} is not allowed`);
+    } else if (policy.allowOnly && !policy.allowOnly.has(key)) {
+      errors.push(`${path}: operator ${key} is not in the allowed list`);
+    }
+  };
+
+  const walkPipeline = (pipeline, path, depth) => {
+    if (depth > policy.maxDepth) {
+      errors.push(`${path}: sub-pipelines nested deeper than ${policy.maxDepth} levels`);
+      return;
+    }
+    if (pipeline.length > policy.maxStages) {
+      errors.push(`${path}: ${pipeline.length} stages exceeds the limit of ${policy.maxStages}`);
+    }
+
+    pipeline.forEach((stage, i) => {
+      const stagePath = `${path}[${i}]`;
+      if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+        errors.push(`${stagePath}: stage must be an object`);
+        return;
+      }
+
+      Object.entries(stage).forEach(([name, spec]) => {
+        if (JOIN_STAGES.includes(name)) lookups += 1;
+        walkValue({ [name]: spec }, stagePath, depth);
+      });
+    });
+  };
+
+  const walkValue = (value, path, depth) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walkValue(item, `${path}[${i}]`, depth));
+      return;
+    }
+    // Driver values (ObjectId, Date, ...) have nothing to inspect
+    if (!value || typeof value !== "object" || value._bsontype || value instanceof Date) return;
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (key.startsWith("$")) {
+        if (EJSON_TYPE_KEYS.includes(key)) return;
+        checkOperator(key, childPath);
+      }
+
+      // Stages that carry their own pipelines
+      if (["$lookup", "$unionWith"].includes(key) && Array.isArray(child?.pipeline)) {
+        const { pipeline, ...rest } = child;
+        walkValue(rest, childPath, depth);
+        walkPipeline(pipeline, `${childPath}.pipeline`, depth + 1);
+      } else if (key === "$facet" && child && typeof child === "object") {
+        Object.entries(child).forEach(([facet, pipeline]) => {
+          if (Array.isArray(pipeline)) walkPipeline(pipeline, `${childPath}.${facet}`, depth + 1);
+        });
+      } else {
+        walkValue(child, childPath, depth);
+      }
+    });
+  };
+
+  walkValue(action.query, "query", 1);
+  walkValue(action.options, "options", 1);
+  if (Array.isArray(action.update)) walkPipeline(action.update, "update", 1);
+  else walkValue(action.update, "update", 1);
+  if (Array.isArray(action.pipeline)) walkPipeline(action.pipeline, "pipeline", 1);
+
+  if (lookups > policy.maxLookups) {
+    errors.push(`pipeline: ${lookups} $lookup/$graphLookup/$unionWith stages exceeds the limit of ${policy.maxLookups}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
@@ -0,0 +1,124 @@
+// ============================================================================
+// lib/relationships.js - Reference Inference Between Collections
+// ============================================================================
+//
+// MongoDB has no foreign keys, so references are guessed from two signals:
+//   naming  "userId", "user_id", "authorIds" → a collection called user(s)/author(s)
+//   values  sampled ObjectIds of a field that exist as _id in another collection
+// A reference backed by values is "high" confidence; naming alone is "medium".
+
+const MAX_PROBE_VALUES = 20;
+const MAX_VALUE_PROBES = 200;
+const REFERENCE_SUFFIX = /^(.+?)(?:_ids?|Ids?|IDs?)$/;
+
+/**
+ * Infers references between introspected collections
+ * @param {Object[]} collections - Introspected { name, fields, fieldTypes, arrayTypes }
+ * @param {Map<string, Array>} samples - Collection name → sampled documents
+ * @param {Function} countMatches - async (collection, values) → how many values exist as its _id
+ * @returns {Promise<Object>} Collection name → [{ field, to, toField, many, confidence, evidence }]
+ */
+export async function inferReferences(collections, samples, countMatches) {
+  const names = collections.map(col => col.name);
+  const references = Object.fromEntries(names.map(name => [name, []]));
+  let probes = 0;
+
+  for (const col of collections) {
+    for (const field of col.fields) {
+      if (field === "_id" || field.startsWith("_id.")) continue;
+
+      const types = col.fieldTypes[field] || [];
+      // "tagIds" arrays and "items.productId" inside arrays both hold several
+      const many = field.split(".").some((_, i, segments) =>
+        (col.fieldTypes[segments.slice(0, i + 1).join(".")] || []).includes("array"));
+      const idTyped = [...types, ...(col.arrayTypes?.[field] || [])]
+        .some(type => type === "objectid" || type === "objectid-string");
+      const named = namedTargets(field, names).filter(name => name !== col.name || idTyped);
+      if (named.length === 0 && !idTyped) continue;
+
+      // Probe the named collections first, then (for ObjectIds) every other one
+      const values = referenceValues(samples.get(col.name) || [], field);
+      const candidates = idTyped ? [...named, ...names.filter(name => !named.includes(name))] : named;
+      let matched = null;
+
+      if (values.length > 0) {
+        for (const target of candidates) {
+          if (target === col.name || probes >= MAX_VALUE_PROBES) continue;
+          probes += 1;
+          try {
+            const found = await countMatches(target, values);
+            if (found > 0) {
+              matched = { target, found };
+              break;
+            }
+          } catch (probeErr) {
+            console.warn(`  ⚠️ Reference probe ${col.name}.${field} → ${target} failed: ${probeErr.message}`);
+          }
+        }
+      }
+
+      if (matched) {
+        references[col.name].push({
+          field,
+          to: matched.target,
+          toField: "_id",
+          many,
+          confidence: "high",
+          evidence: `${matched.found} of ${values.length} sampled values found in ${matched.target}._id` +
+            (named.includes(matched.target) ? "; name matches" : ""),
+        });
+      } else if (named.length > 0) {
+        references[col.name].push({
+          field,
+          to: named[0],
+          toField: "_id",
+          many,
+          confidence: "medium",
+          evidence: "name matches",
+        });
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Collections a reference-looking field name points at:
+ * "userId" → users/user, "category_id" → categories, "tagIds" → tags
+ */
+export function namedTargets(field, collectionNames) {
+  const leaf = field.split(".").pop();
+  const match = leaf.match(REFERENCE_SUFFIX);
+  if (!match || !match[1]) return [];
+
+  const base = match[1].toLowerCase().replace(/_$/, "");
+  const forms = [base, `${base}s`, `${base}es`, base.replace(/y$/, "ies")];
+  return collectionNames.filter(name => {
+    const normalized = name.toLowerCase().replace(/[_-]/g, "");
+    return forms.some(form => form.replace(/_/g, "") === normalized);
+  });
+}
+
+/**
+ * Distinct non-null values at a dotted path (through arrays) in sampled documents
+ */
+function referenceValues(documents, field) {
+  const values = new Map();
+  const collect = (value, segments) => {
+    if (values.size >= MAX_PROBE_VALUES || value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => collect(item, segments));
+      return;
+    }
+    if (segments.length === 0) {
+      values.set(String(value), value);
+      return;
+    }
+    if (typeof value === "object" && !value._bsontype && !(value instanceof Date)) {
+      collect(value[segments[0]], segments.slice(1));
+    }
+  };
+  documents.forEach(doc => collect(doc, field.split(".")));
+  return Array.from(values.values());
+}
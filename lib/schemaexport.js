@@ -0,0 +1,322 @@
+// ============================================================================
+// lib/schemaexport.js - Validators and Models from the Inferred Schema
+// ============================================================================
+//
+// Turns one introspected collection (fields as dotted paths with types,
+// occurrence and references) into a MongoDB $jsonSchema validator, a
+// Mongoose schema and a TypeScript interface. Everything is derived from
+// sampled documents, so the output is deliberately lenient: fields are only
+// required when every sampled document had them, unknown fields stay allowed
+// and mixed types stay mixed.
+
+// inferSchema type → $jsonSchema bsonType
+const BSON_TYPES = {
+  string: "string",
+  email: "string",
+  "date-string": "string",
+  "objectid-string": "string",
+  integer: "number",
+  double: "number",
+  int32: "number",
+  long: "number",
+  decimal128: "decimal",
+  boolean: "bool",
+  date: "date",
+  objectid: "objectId",
+  binary: "binData",
+  timestamp: "timestamp",
+  null: "null",
+  object: "object",
+  array: "array",
+};
+
+const MONGOOSE_TYPES = {
+  string: "String",
+  email: "String",
+  "date-string": "String",
+  "objectid-string": "String",
+  integer: "Number",
+  double: "Number",
+  int32: "Number",
+  long: "Number",
+  decimal128: "Schema.Types.Decimal128",
+  boolean: "Boolean",
+  date: "Date",
+  objectid: "Schema.Types.ObjectId",
+  binary: "Buffer",
+};
+
+const TS_TYPES = {
+  string: "string",
+  email: "string",
+  "date-string": "string",
+  "objectid-string": "string",
+  integer: "number",
+  double: "number",
+  int32: "number",
+  long: "number",
+  decimal128: "Decimal128",
+  boolean: "boolean",
+  date: "Date",
+  objectid: "ObjectId",
+  binary: "Binary",
+  timestamp: "Timestamp",
+  null: "null",
+};
+
+/**
+ * MongoDB validator for a collection, for createCollection/collMod
+ * @param {Object} collection - Introspected collection ({ name, fields, fieldTypes, ... })
+ * @returns {Object} { $jsonSchema: {...} }
+ */
+export function toJsonSchema(collection) {
+  const root = buildTree(collection);
+  const schema = objectJsonSchema(root, false);
+  return { $jsonSchema: { title: collection.name, ...schema } };
+}
+
+/**
+ * Mongoose schema and model definition as source code
+ * @returns {string} ES module source
+ */
+export function toMongooseSchema(collection) {
+  const root = buildTree(collection);
+  const modelName = modelNameFor(collection.name);
+  const refs = new Map((collection.references || []).map(ref => [ref.field, modelNameFor(ref.to)]));
+  const schemaVar = `${modelName.charAt(0).toLowerCase()}${modelName.slice(1)}Schema`;
+
+  const body = mongooseFields(root, refs, "  ", false);
+  return [
+    `import mongoose from "mongoose";`,
+    ``,
+    `const { Schema } = mongoose;`,
+    ``,
+    `// Inferred from ${collection.sampleSize ?? "sampled"} documents of "${collection.name}"; review before relying on it`,
+    `const ${schemaVar} = new Schema(${body}, {`,
+    `  collection: ${JSON.stringify(collection.name)},`,
+    `  strict: false, // Keep fields the sample didn't show`,
+    `  versionKey: false,`,
+    `});`,
+    ``,
+    `export const ${modelName} = mongoose.models.${modelName} || mongoose.model(${JSON.stringify(modelName)}, ${schemaVar});`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * TypeScript interface for a collection's documents as source code
+ * @returns {string} TypeScript source
+ */
+export function toTypeScript(collection) {
+  const root = buildTree(collection);
+  const used = new Set();
+  const body = tsObject(root, collection, used, "", false);
+
+  const imports = ["ObjectId", "Decimal128", "Binary", "Timestamp"].filter(type => used.has(type));
+  return [
+    ...(imports.length > 0 ? [`import type { ${imports.join(", ")} } from "mongodb";`, ``] : []),
+    `// Inferred from ${collection.sampleSize ?? "sampled"} documents of "${collection.name}"`,
+    `export interface ${modelNameFor(collection.name)} ${body}`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * "order_items" → "OrderItem", "categories" → "Category"
+ */
+export function modelNameFor(collectionName) {
+  const words = String(collectionName).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  if (words.length === 0) return "Document";
+  const last = words.length - 1;
+  words[last] = singular(words[last]);
+  const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join("");
+  return /^[0-9]/.test(name) ? `C${name}` : name;
+}
+
+// ----------------------------------------------------------------------------
+// Field tree
+// ----------------------------------------------------------------------------
+
+/**
+ * Dotted paths → nested nodes { name, path, types, elementTypes, occurrence, children }
+ */
+function buildTree(collection) {
+  const root = { name: "", path: "", types: ["object"], occurrence: 100, children: new Map() };
+  const nodes = new Map([["", root]]);
+
+  (collection.fields || []).forEach(path => {
+    const cut = path.lastIndexOf(".");
+    const parent = nodes.get(cut === -1 ? "" : path.slice(0, cut));
+    if (!parent) return;
+    const node = {
+      name: cut === -1 ? path : path.slice(cut + 1),
+      path,
+      types: collection.fieldTypes?.[path] || [],
+      elementTypes: collection.arrayTypes?.[path] || [],
+      occurrence: collection.occurrence?.[path] ?? 100,
+      stats: collection.fieldStats?.[path],
+      children: new Map(),
+    };
+    parent.children.set(node.name, node);
+    nodes.set(path, node);
+  });
+
+  return root;
+}
+
+// Present whenever its parent is (fields inside array elements never count)
+function isRequired(node, parent, inArray) {
+  return !inArray && node.occurrence >= 100 && parent.occurrence >= 100 && !node.types.includes("null");
+}
+
+// ----------------------------------------------------------------------------
+// $jsonSchema
+// ----------------------------------------------------------------------------
+
+function objectJsonSchema(node, inArray) {
+  return { bsonType: "object", ...objectMembers(node, inArray) };
+}
+
+// { required?, properties? } of an object node
+function objectMembers(node, inArray) {
+  const schema = {};
+  const properties = {};
+  const required = [];
+
+  node.children.forEach(child => {
+    properties[child.name] = fieldJsonSchema(child, inArray);
+    if (isRequired(child, node, inArray)) required.push(child.name);
+  });
+
+  if (required.length > 0) schema.required = required;
+  if (node.children.size > 0) schema.properties = properties;
+  return schema;
+}
+
+function fieldJsonSchema(node, inArray) {
+  const bsonTypes = unique(node.types.map(type => BSON_TYPES[type]));
+  // A type we can't map means anything goes
+  const schema = bsonTypes.includes(undefined) || bsonTypes.length === 0 ? {} : {
+    bsonType: bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes,
+  };
+
+  if (node.types.includes("object") && node.children.size > 0) {
+    Object.assign(schema, objectMembers(node, inArray));
+  }
+  if (node.types.includes("array")) {
+    if (node.children.size > 0) {
+      schema.items = objectJsonSchema(node, true);
+    } else {
+      const itemTypes = unique(node.elementTypes.map(type => BSON_TYPES[type]));
+      if (itemTypes.length > 0 && !itemTypes.includes(undefined)) {
+        schema.items = { bsonType: itemTypes.length === 1 ? itemTypes[0] : itemTypes };
+      }
+    }
+  }
+  return schema;
+}
+
+// ----------------------------------------------------------------------------
+// Mongoose
+// ----------------------------------------------------------------------------
+
+function mongooseFields(node, refs, indent, inArray) {
+  const lines = [];
+  node.children.forEach(child => {
+    // Mongoose adds an ObjectId _id by itself
+    if (child.path === "_id" && child.types.length === 1 && child.types[0] === "objectid") return;
+    const definition = mongooseField(child, refs, indent, inArray, isRequired(child, node, inArray));
+    lines.push(`${indent}${propertyKey(child.name)}: ${definition},`);
+  });
+  if (lines.length === 0) return "{}";
+  return `{\n${lines.join("\n")}\n${indent.slice(2)}}`;
+}
+
+function mongooseField(node, refs, indent, inArray, required) {
+  const types = node.types.filter(type => type !== "null");
+  const ref = refs.has(node.path) ? `ref: ${JSON.stringify(refs.get(node.path))}` : null;
+  const options = required ? ["required: true"] : [];
+
+  let type;
+  if (types.length === 1 && types[0] === "object") {
+    // Nested paths; an object never seen with keys stays Mixed
+    if (node.children.size === 0) type = "Schema.Types.Mixed";
+    else return mongooseFields(node, refs, `${indent}  `, inArray);
+  } else if (types.length === 1 && types[0] === "array") {
+    // Mongoose defaults arrays to [], so required adds nothing
+    options.length = 0;
+    if (node.children.size > 0) {
+      const hasId = node.children.has("_id");
+      type = `[new Schema(${mongooseFields(node, refs, `${indent}  `, true)}${hasId ? "" : ", { _id: false }"})]`;
+    } else {
+      const elements = unique(node.elementTypes.filter(t => t !== "null").map(t => MONGOOSE_TYPES[t]));
+      const element = elements.length === 1 && elements[0] ? elements[0] : "Schema.Types.Mixed";
+      // The ref of "tagIds" belongs to each element
+      type = ref ? `[{ type: ${element}, ${ref} }]` : `[${element}]`;
+    }
+  } else {
+    const mapped = unique(types.map(t => MONGOOSE_TYPES[t]));
+    type = mapped.length === 1 && mapped[0] ? mapped[0] : "Schema.Types.Mixed";
+    if (ref) options.push(ref);
+  }
+
+  return options.length > 0 ? `{ type: ${type}, ${options.join(", ")} }` : type;
+}
+
+// ----------------------------------------------------------------------------
+// TypeScript
+// ----------------------------------------------------------------------------
+
+function tsObject(node, collection, used, indent, inArray) {
+  if (node.children.size === 0) return "Record<string, unknown>";
+  const lines = [];
+  node.children.forEach(child => {
+    // Always present but sometimes null stays non-optional: `field: T | null`
+    const present = !inArray && child.occurrence >= 100 && node.occurrence >= 100;
+    const optional = present ? "" : "?";
+    const seen = child.stats?.enum ? ` // seen: ${child.stats.topValues.map(top => JSON.stringify(top.value)).join(" | ")}` : "";
+    lines.push(`${indent}  ${propertyKey(child.name)}${optional}: ${tsType(child, collection, used, `${indent}  `, inArray)};${seen}`);
+  });
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+function tsType(node, collection, used, indent, inArray) {
+  const parts = unique(node.types.map(type => {
+    if (type === "object") return tsObject(node, collection, used, indent, inArray);
+    if (type === "array") {
+      if (node.children.size > 0) return `Array<${tsObject(node, collection, used, indent, true)}>`;
+      const elements = unique(node.elementTypes.map(element => tsScalar(element, used)));
+      if (elements.length === 0) return "unknown[]";
+      return elements.length === 1 ? `${elements[0]}[]` : `Array<${elements.join(" | ")}>`;
+    }
+    return tsScalar(type, used);
+  }));
+  if (parts.length === 0) return "unknown";
+  return [...parts.filter(part => part !== "null"), ...parts.filter(part => part === "null")].join(" | ");
+}
+
+function tsScalar(type, used) {
+  const mapped = TS_TYPES[type] || "unknown";
+  if (/^[A-Z]/.test(mapped)) used.add(mapped);
+  return mapped;
+}
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function singular(word) {
+  if (/ies$/i.test(word) && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ss|us|is)$/i.test(word)) return word;
+  if (/(ses|xes|ches|shes)$/i.test(word)) return word.slice(0, -2);
+  if (/s$/i.test(word) && word.length > 1) return word.slice(0, -1);
+  return word;
+}
+
+function unique(list) {
+  return Array.from(new Set(list));
+}
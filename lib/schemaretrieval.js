@@ -0,0 +1,314 @@
+// ============================================================================
+// lib/schemaretrieval.js - Relevance-Based Schema Pruning
+// ============================================================================
+//
+// Large databases don't fit a 7B model's context, so before prompting we rank
+// collections (and, within big collections, fields) by how well they match
+// the question and only describe the best ones in detail:
+//
+//   lexical     Question words (Hindi/Marathi mapped to English) against
+//               collection names, field names and sample values
+//   embeddings  Optional: cosine similarity from a local embedding model,
+//               used when SCHEMA_EMBED_MODEL is set and the provider has one
+//
+// Collections used earlier in the conversation, and collections referenced
+// by/from a strong match, get a boost so follow-ups and $lookups keep working.
+//
+//   SCHEMA_TOP_COLLECTIONS  Collections described in the prompt (default 5)
+//   SCHEMA_MAX_FIELDS       Fields kept per described collection (default 40)
+//   SCHEMA_EMBED_MODEL      Embedding model, e.g. nomic-embed-text (off by default)
+
+import { getProvider } from "./providers";
+
+const TOP_COLLECTIONS = parseInt(process.env.SCHEMA_TOP_COLLECTIONS, 10) || 5;
+const MAX_FIELDS = parseInt(process.env.SCHEMA_MAX_FIELDS, 10) || 40;
+const EMBED_MODEL = process.env.SCHEMA_EMBED_MODEL || "";
+const EMBED_WEIGHT = 10;
+const MAX_CACHED_EMBEDDINGS = 500;
+
+// Hindi/Marathi (Devanagari and romanized) → English schema vocabulary
+const SYNONYMS = {
+  name: ["naam", "naav", "नाम", "नाव"],
+  email: ["ईमेल", "इमेल", "मेल"],
+  phone: ["फोन", "फ़ोन", "mobile", "मोबाइल", "नंबर", "number"],
+  address: ["pata", "patta", "पता", "पत्ता"],
+  city: ["shahar", "shehar", "शहर", "गाव", "gaon"],
+  age: ["umar", "umra", "vay", "उम्र", "वय"],
+  user: ["यूजर", "युजर", "उपयोगकर्ता", "vapar", "वापरकर्ता", "लोग", "member", "सदस्य"],
+  customer: ["grahak", "ग्राहक", "client"],
+  order: ["ऑर्डर", "ordar", "मागणी"],
+  product: ["utpad", "उत्पाद", "वस्तु", "वस्तू", "saman", "सामान", "item"],
+  price: ["kimat", "keemat", "किंमत", "कीमत", "daam", "दाम", "cost"],
+  amount: ["rakam", "रकम", "राशि", "राशी", "paise", "पैसे", "total"],
+  payment: ["bhugtan", "भुगतान", "pay"],
+  date: ["tarikh", "तारीख", "तारीख़", "दिनांक", "din", "दिन", "created"],
+  student: ["chhatra", "छात्र", "विद्यार्थी", "vidyarthi"],
+  employee: ["karmachari", "कर्मचारी", "staff"],
+  salary: ["vetan", "वेतन", "पगार", "pagar", "tankhwah", "तनख्वाह"],
+  category: ["shreni", "श्रेणी", "प्रकार", "prakar"],
+  status: ["sthiti", "स्थिति", "स्थिती"],
+  invoice: ["bill", "बिल", "पावती"],
+  review: ["samiksha", "समीक्षा", "rating", "रेटिंग"],
+  message: ["sandesh", "संदेश", "msg"],
+};
+
+// Words that say nothing about which collection is meant
+const STOP_WORDS = new Set([
+  "show", "list", "find", "get", "give", "all", "the", "a", "an", "of", "for", "with", "me", "my", "in", "on",
+  "and", "or", "to", "from", "is", "are", "by", "how", "many", "much", "what", "which", "who", "count",
+  "dikhao", "dikha", "batao", "sabhi", "sab", "saare", "ka", "ki", "ke", "ko", "hai", "mein", "se",
+  "dakhav", "sang", "sarva", "sagle", "cha", "chi", "che", "aahe", "madhe",
+  "दिखाओ", "बताओ", "सभी", "सब", "का", "की", "के", "को", "है", "में", "से",
+  "दाखव", "सांग", "सर्व", "सगळे", "चा", "ची", "चे", "आहे", "मध्ये",
+]);
+
+const SYNONYM_LOOKUP = new Map(
+  Object.entries(SYNONYMS).flatMap(([term, words]) => words.map(word => [word.toLowerCase(), term]))
+);
+
+const embeddingCache = new Map();
+
+/**
+ * Picks the collections (and fields) worth describing for a question
+ * @param {string} userText - The question
+ * @param {Object} collectionSchemas - Every introspected collection by name
+ * @param {Object} options - { history (normalized turns), llm (resolved config) }
+ * @returns {Promise<Object>} { schemas, retrieval: { strategy, pruned, selected, considered: [{ name, score, reasons }] } }
+ */
+export async function selectRelevantSchemas(userText, collectionSchemas, { history = [], llm = null } = {}) {
+  const names = Object.keys(collectionSchemas);
+  const terms = questionTerms(userText);
+
+  const ranked = names.map((name, index) => {
+    const { score, reasons } = lexicalScore(terms, name, collectionSchemas[name]);
+    return { name, index, score, reasons };
+  });
+
+  let strategy = "lexical";
+  const similarities = await embeddingScores(userText, collectionSchemas, llm);
+  if (similarities) {
+    strategy = "lexical+embeddings";
+    ranked.forEach(entry => {
+      const similarity = similarities[entry.name] || 0;
+      entry.score += similarity * EMBED_WEIGHT;
+      entry.reasons.push(`embedding ${similarity.toFixed(2)}`);
+    });
+  }
+
+  // Follow-ups ("now only the active ones") stay on the collections already in use
+  const used = historyCollections(history);
+  ranked.forEach(entry => {
+    if (used.has(entry.name)) {
+      entry.score += 3;
+      entry.reasons.push("used earlier in conversation");
+    }
+  });
+
+  // Neighbours of the best match make $lookup possible
+  const best = ranked.reduce((top, entry) => (entry.score > (top?.score || 0) ? entry : top), null);
+  if (best) {
+    ranked.forEach(entry => {
+      if (entry !== best && linked(collectionSchemas, best.name, entry.name)) {
+        entry.score += 2;
+        entry.reasons.push(`related to ${best.name}`);
+      }
+    });
+  }
+
+  // Ties (e.g. nothing matched) go to the biggest collections
+  ranked.sort((a, b) => b.score - a.score ||
+    (collectionSchemas[b.name].documentCount || 0) - (collectionSchemas[a.name].documentCount || 0) ||
+    a.index - b.index);
+
+  // Unmatched collections only fill in when the question matched nothing
+  const matched = ranked.filter(entry => entry.score > 0);
+  const selected = (matched.length > 0 ? matched : ranked).slice(0, TOP_COLLECTIONS).map(entry => entry.name);
+  const schemas = {};
+  // Keep introspection order so the prompt reads the same as the schema page
+  names.filter(name => selected.includes(name)).forEach(name => {
+    schemas[name] = pruneFields(collectionSchemas[name], terms);
+  });
+
+  return {
+    schemas,
+    retrieval: {
+      strategy,
+      pruned: names.length - selected.length,
+      selected,
+      considered: ranked.map(({ name, score, reasons }) => ({ name, score: Math.round(score * 100) / 100, reasons })),
+    },
+  };
+}
+
+/**
+ * Keeps the fields of a wide collection that match the question, plus _id,
+ * references and the parents of kept nested paths
+ */
+function pruneFields(schema, terms) {
+  if (!schema.fields || schema.fields.length <= MAX_FIELDS) return schema;
+
+  const referenceFields = new Set((schema.references || []).map(ref => ref.field));
+  const scored = schema.fields.map((field, index) => {
+    let score = matchCount(terms, identifierTerms(field)) * 2;
+    if (field === "_id" || referenceFields.has(field)) score += 5;
+    // Shallow fields say more about a document than deep ones
+    score -= field.split(".").length * 0.1;
+    return { field, index, score };
+  });
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const keep = new Set(scored.slice(0, MAX_FIELDS).map(entry => entry.field));
+  Array.from(keep).forEach(field => {
+    const segments = field.split(".");
+    for (let i = 1; i < segments.length; i++) keep.add(segments.slice(0, i).join("."));
+  });
+
+  const pick = (map) => map && Object.fromEntries(Object.entries(map).filter(([field]) => keep.has(field)));
+  const fields = schema.fields.filter(field => keep.has(field));
+  return {
+    ...schema,
+    fields,
+    fieldTypes: pick(schema.fieldTypes),
+    sampleValues: pick(schema.sampleValues),
+    occurrence: pick(schema.occurrence),
+    arrayTypes: pick(schema.arrayTypes),
+    fieldStats: pick(schema.fieldStats),
+    omittedFields: schema.fields.length - fields.length,
+  };
+}
+
+function lexicalScore(terms, name, schema) {
+  const reasons = [];
+  let score = 0;
+
+  const nameHits = matchCount(terms, identifierTerms(name));
+  if (nameHits > 0) {
+    score += nameHits * 5;
+    reasons.push("name matches");
+  }
+
+  const fieldTerms = new Set((schema.fields || []).flatMap(identifierTerms));
+  const fieldHits = matchCount(terms, fieldTerms);
+  if (fieldHits > 0) {
+    score += fieldHits * 2;
+    reasons.push(`${fieldHits} field term(s) match`);
+  }
+
+  // "Pune", "Ram", "active"... may only appear as data
+  const values = [
+    ...Object.values(schema.sampleValues || {}),
+    ...Object.values(schema.fieldStats || {}).flatMap(stat => (stat.topValues || []).map(top => top.value)),
+  ]
+    .filter(value => typeof value === "string")
+    .map(value => value.toLowerCase());
+  const valueHits = terms.filter(term => term.length >= 3 && values.some(value => value.includes(term))).length;
+  if (valueHits > 0) {
+    score += valueHits;
+    reasons.push("sample values match");
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Question words, stemmed, with Hindi/Marathi words replaced by the English term
+ */
+function questionTerms(text) {
+  const words = String(text || "").toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+  const terms = new Set();
+  words.forEach(word => {
+    if (STOP_WORDS.has(word)) return;
+    const mapped = SYNONYM_LOOKUP.get(word);
+    if (mapped) terms.add(mapped);
+    terms.add(stem(word));
+  });
+  return Array.from(terms).filter(term => term.length > 1);
+}
+
+/**
+ * "order_items", "shippingAddress.city" → ["order", "item", "shipping", "address", "city"]
+ */
+function identifierTerms(identifier) {
+  return String(identifier)
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(part => part && part !== "id")
+    .map(stem);
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ses|xes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+function matchCount(terms, candidates) {
+  const set = candidates instanceof Set ? candidates : new Set(candidates);
+  return terms.filter(term => set.has(term)).length;
+}
+
+function linked(collectionSchemas, a, b) {
+  const refersTo = (from, to) =>
+    (collectionSchemas[from].references || []).some(ref => ref.to === to) ||
+    (collectionSchemas[from].foreignKeys || []).some(fk => fk.references.table === to);
+  return refersTo(a, b) || refersTo(b, a);
+}
+
+function historyCollections(history) {
+  const used = new Set();
+  history.forEach(turn => {
+    const match = turn.action?.match(/"(?:collection|table)":"([^"]+)"/);
+    if (match) used.add(match[1]);
+  });
+  return used;
+}
+
+/**
+ * Cosine similarity of the question to each collection's description, or
+ * null when embeddings are off or unavailable
+ */
+async function embeddingScores(userText, collectionSchemas, llm) {
+  if (!EMBED_MODEL || !llm) return null;
+  const provider = getProvider(llm.provider);
+  if (!provider.embed) return null;
+
+  const names = Object.keys(collectionSchemas);
+  const descriptions = names.map(name => `${name}: ${(collectionSchemas[name].fields || []).join(", ")}`);
+
+  try {
+    const missing = descriptions.filter(text => !embeddingCache.has(`${EMBED_MODEL}:${text}`));
+    const vectors = await provider.embed({ baseUrl: llm.baseUrl, model: EMBED_MODEL, input: [userText, ...missing] });
+    missing.forEach((text, i) => cacheEmbedding(`${EMBED_MODEL}:${text}`, vectors[i + 1]));
+
+    const question = vectors[0];
+    return Object.fromEntries(names.map((name, i) => [
+      name,
+      cosine(question, embeddingCache.get(`${EMBED_MODEL}:${descriptions[i]}`)),
+    ]));
+  } catch (embedErr) {
+    console.warn(`⚠️ Schema embeddings unavailable, using lexical ranking: ${embedErr.message}`);
+    return null;
+  }
+}
+
+function cacheEmbedding(key, vector) {
+  embeddingCache.set(key, vector);
+  while (embeddingCache.size > MAX_CACHED_EMBEDDINGS) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
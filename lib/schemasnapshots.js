@@ -0,0 +1,226 @@
+// ============================================================================
+// lib/schemasnapshots.js - Schema Snapshots and Drift Detection
+// ============================================================================
+//
+// Every fresh introspection scan is condensed to its structure (collections,
+// field paths with types, indexes) and kept as a JSON file, so a deploy that
+// renames `phone` to `mobile` or changes a type shows up as a diff. Sample
+// values and statistics are never persisted. A scan identical to the latest
+// snapshot doesn't create a new one.
+//
+// Scans are samples, so fields seen in under 5% of sampled documents and
+// "null" as a type are left out; otherwise rare fields would flicker in and
+// out of every diff.
+//
+//   SCHEMA_SNAPSHOT_DIR  Where snapshots live (default .dbagent/schema-snapshots)
+//   SCHEMA_SNAPSHOT_MAX  Snapshots kept per database, oldest dropped (default 50)
+
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash, randomBytes } from "crypto";
+
+const SNAPSHOT_DIR = process.env.SCHEMA_SNAPSHOT_DIR || path.join(process.cwd(), ".dbagent", "schema-snapshots");
+const SNAPSHOT_MAX = parseInt(process.env.SCHEMA_SNAPSHOT_MAX, 10) || 50;
+const SNAPSHOT_ID = /^[0-9TZ]+-[a-f0-9]{6}$/;
+const MIN_OCCURRENCE = 5;
+
+/**
+ * Stores a scan unless it matches the latest snapshot
+ * @param {string} key - metadataCacheKey() of the database
+ * @param {Object} metadata - scanDatabase() result
+ * @returns {Promise<Object>} { snapshot, previous, diff, created } - diff is null for the first snapshot
+ */
+export async function recordSnapshot(key, metadata) {
+  const structure = condense(metadata);
+  const fingerprint = createHash("sha256").update(JSON.stringify(structure)).digest("hex").slice(0, 16);
+
+  const ids = await listSnapshotIds(key);
+  const latest = ids.length > 0 ? await getSnapshot(key, ids[ids.length - 1]) : null;
+
+  if (latest && latest.fingerprint === fingerprint) {
+    return { snapshot: latest, previous: null, diff: null, created: false };
+  }
+
+  const scannedAt = metadata.scannedAt || new Date().toISOString();
+  const snapshot = {
+    // Sortable by name: compact scan time plus a random suffix
+    id: `${scannedAt.replace(/[-:.]/g, "")}-${randomBytes(3).toString("hex")}`,
+    database: key.slice(key.indexOf(":") + 1),
+    dbType: metadata.dbType,
+    scannedAt,
+    fingerprint,
+    collections: structure,
+  };
+
+  const dir = snapshotDir(key);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${snapshot.id}.json`), JSON.stringify(snapshot));
+
+  // Oldest first; keep the newest SNAPSHOT_MAX
+  const stale = [...ids, snapshot.id].slice(0, Math.max(ids.length + 1 - SNAPSHOT_MAX, 0));
+  await Promise.all(stale.map(id => fs.unlink(path.join(dir, `${id}.json`)).catch(() => {})));
+
+  return { snapshot, previous: latest, diff: latest ? diffSnapshots(latest, snapshot) : null, created: true };
+}
+
+/**
+ * Snapshot summaries, newest first, each with its change count against the one before
+ * @returns {Promise<Object[]>} [{ id, scannedAt, dbType, database, collections, fields, changes }]
+ */
+export async function listSnapshots(key) {
+  const ids = await listSnapshotIds(key);
+  const snapshots = (await Promise.all(ids.map(id => getSnapshot(key, id)))).filter(Boolean);
+
+  return snapshots.map((snapshot, i) => ({
+    id: snapshot.id,
+    scannedAt: snapshot.scannedAt,
+    dbType: snapshot.dbType,
+    database: snapshot.database,
+    collections: snapshot.collections.length,
+    fields: snapshot.collections.reduce((sum, col) => sum + Object.keys(col.fields).length, 0),
+    changes: i > 0 ? diffSnapshots(snapshots[i - 1], snapshot).totalChanges : null,
+  })).reverse();
+}
+
+/**
+ * Loads a snapshot, or null if it doesn't exist
+ */
+export async function getSnapshot(key, id) {
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath(key, id), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Id of the newest snapshot and of the one before it (either may be null)
+ */
+export async function latestSnapshotIds(key) {
+  const ids = await listSnapshotIds(key);
+  return { latest: ids[ids.length - 1] || null, previous: ids[ids.length - 2] || null };
+}
+
+/**
+ * What changed between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { from, to, collections: { added, removed }, fields: { added, removed, typeChanged },
+ *   renamed, indexes: { added, removed, changed }, totalChanges }
+ */
+export function diffSnapshots(from, to) {
+  const before = new Map(from.collections.map(col => [col.name, col]));
+  const after = new Map(to.collections.map(col => [col.name, col]));
+
+  const diff = {
+    from: { id: from.id, scannedAt: from.scannedAt },
+    to: { id: to.id, scannedAt: to.scannedAt },
+    collections: {
+      added: [...after.keys()].filter(name => !before.has(name)),
+      removed: [...before.keys()].filter(name => !after.has(name)),
+    },
+    fields: { added: [], removed: [], typeChanged: [] },
+    renamed: [],
+    indexes: { added: [], removed: [], changed: [] },
+  };
+
+  after.forEach((col, name) => {
+    const old = before.get(name);
+    if (!old) return;
+
+    const added = Object.keys(col.fields).filter(field => !(field in old.fields));
+    const removed = Object.keys(old.fields).filter(field => !(field in col.fields));
+    added.forEach(field => diff.fields.added.push({ collection: name, field, types: col.fields[field] }));
+    removed.forEach(field => diff.fields.removed.push({ collection: name, field, types: old.fields[field] }));
+
+    Object.keys(col.fields)
+      .filter(field => field in old.fields && !sameList(old.fields[field], col.fields[field]))
+      .forEach(field => diff.fields.typeChanged.push({
+        collection: name, field, from: old.fields[field], to: col.fields[field],
+      }));
+
+    // A field that vanished while one of the same type appeared at the same
+    // level was probably renamed (phone → mobile)
+    const claimed = new Set();
+    removed.forEach(oldField => {
+      const match = added.find(newField =>
+        !claimed.has(newField) &&
+        parentOf(newField) === parentOf(oldField) &&
+        sameList(old.fields[oldField], col.fields[newField]));
+      if (match) {
+        claimed.add(match);
+        diff.renamed.push({ collection: name, from: oldField, to: match, types: col.fields[match] });
+      }
+    });
+
+    const oldIndexes = new Map(old.indexes.map(idx => [idx.name, idx]));
+    const newIndexes = new Map(col.indexes.map(idx => [idx.name, idx]));
+    newIndexes.forEach((idx, idxName) => {
+      const previous = oldIndexes.get(idxName);
+      if (!previous) diff.indexes.added.push({ collection: name, ...idx });
+      else if (!sameList(previous.keys, idx.keys) || previous.unique !== idx.unique) {
+        diff.indexes.changed.push({ collection: name, name: idxName, from: previous, to: idx });
+      }
+    });
+    oldIndexes.forEach((idx, idxName) => {
+      if (!newIndexes.has(idxName)) diff.indexes.removed.push({ collection: name, ...idx });
+    });
+  });
+
+  diff.totalChanges =
+    diff.collections.added.length + diff.collections.removed.length +
+    diff.fields.added.length + diff.fields.removed.length + diff.fields.typeChanged.length +
+    diff.indexes.added.length + diff.indexes.removed.length + diff.indexes.changed.length;
+  return diff;
+}
+
+/**
+ * Structure only: { name, kind, fields: { path: types }, indexes: [{ name, keys, unique }] }
+ */
+function condense(metadata) {
+  return (metadata.collections || [])
+    .map(col => ({
+      name: col.name,
+      kind: col.kind || "collection",
+      fields: Object.fromEntries((col.fields || [])
+        .filter(field => (col.occurrence?.[field] ?? 100) >= MIN_OCCURRENCE)
+        .map(field => [field, (col.fieldTypes?.[field] || []).filter(type => type !== "null").sort()])),
+      indexes: (col.indexes || [])
+        .map(idx => ({ name: idx.name, keys: idx.keys, unique: !!idx.unique }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function listSnapshotIds(key) {
+  try {
+    const files = await fs.readdir(snapshotDir(key));
+    return files
+      .filter(file => file.endsWith(".json"))
+      .map(file => file.slice(0, -5))
+      .filter(id => SNAPSHOT_ID.test(id))
+      .sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+function snapshotDir(key) {
+  // Database names are user input; only a hash of the key reaches the filesystem
+  return path.join(SNAPSHOT_DIR, createHash("sha256").update(key).digest("hex").slice(0, 16));
+}
+
+function snapshotPath(key, id) {
+  if (!SNAPSHOT_ID.test(id)) throw new Error("Invalid snapshot id");
+  return path.join(snapshotDir(key), `${id}.json`);
+}
+
+function parentOf(field) {
+  return field.includes(".") ? field.slice(0, field.lastIndexOf(".")) : "";
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
+}
@@ -0,0 +1,203 @@
+// ============================================================================
+// lib/timerange.js - Relative Date/Time Range Resolution
+// ============================================================================
+//
+// Turns phrases like "last week", "पिछले महीने" or "गेल्या 7 दिवसांत" into a
+// concrete [start, end) range computed from the server clock in the user's
+// timezone, so the model never has to do calendar arithmetic itself.
+// Weeks start on Monday.
+
+const UNITS = {
+  hour: ["hour", "hours", "घंटे", "घंटों", "घंटा", "तास", "तासां"],
+  day: ["day", "days", "दिन", "दिनों", "दिवस", "दिवसां"],
+  week: ["week", "weeks", "हफ्ते", "हफ्तों", "हफ्ता", "सप्ताह", "सप्ताहों", "आठवडे", "आठवड्यां", "आठवडा"],
+  month: ["month", "months", "महीने", "महीनों", "महीना", "महिने", "महिन्यां", "महिना"],
+  year: ["year", "years", "साल", "सालों", "वर्ष", "वर्षों", "वर्षां"],
+};
+
+// Devanagari words end in combining marks, so \b can't be used
+const word = (source) => new RegExp(`(?<![\\p{L}\\p{M}\\d])(?:${source})`, "iu");
+const unitAlternation = Object.values(UNITS).flat().sort((a, b) => b.length - a.length).join("|");
+
+const unitOf = (text) =>
+  Object.keys(UNITS).find(unit => UNITS[unit].includes(text.toLowerCase()));
+
+/**
+ * Ordered rules: the first match wins, so "last 7 days" is tried before "last week"
+ */
+const RULES = [
+  {
+    // last 7 days / past 3 months / पिछले 7 दिन / गेल्या 7 दिवसांत
+    pattern: word(`(?:last|past|previous|पिछले|पिछली|बीते|गेल्या|मागील|मागच्या)\\s*(\\d+)\\s*(${unitAlternation})`),
+    resolve: (m, clock) => ({ start: shift(clock.now, unitOf(m[2]), -Number(m[1])), end: clock.now }),
+  },
+  {
+    // 3 days ago / 3 दिन पहले / 3 दिवसांपूर्वी
+    pattern: word(`(\\d+)\\s*(${unitAlternation})\\s*(?:ago|पहले|पूर्वी)`),
+    resolve: (m, clock) => {
+      const unit = unitOf(m[2]);
+      return calendarPeriod(clock, unit === "hour" ? "day" : unit, -Number(m[1]));
+    },
+  },
+  { pattern: word("(?:last|past|previous) week|पिछले (?:हफ्ते|सप्ताह)|(?:गेल्या|मागील|मागच्या) आठवड"), resolve: (m, c) => calendarPeriod(c, "week", -1) },
+  { pattern: word("this week|इस (?:हफ्ते|सप्ताह)|(?:या|ह्या|चालू) आठवड"), resolve: (m, c) => calendarPeriod(c, "week", 0) },
+  { pattern: word("(?:last|past|previous) month|पिछले महीने|(?:गेल्या|मागील|मागच्या) महिन"), resolve: (m, c) => calendarPeriod(c, "month", -1) },
+  { pattern: word("this month|इस महीने|(?:या|ह्या|चालू) महिन"), resolve: (m, c) => calendarPeriod(c, "month", 0) },
+  { pattern: word("(?:last|past|previous) year|पिछले (?:साल|वर्ष)|(?:गेल्या|मागील|मागच्या) वर्षी"), resolve: (m, c) => calendarPeriod(c, "year", -1) },
+  { pattern: word("this year|इस (?:साल|वर्ष)|(?:या|ह्या|चालू) वर्षी"), resolve: (m, c) => calendarPeriod(c, "year", 0) },
+  // "कल" is also "tomorrow" in Hindi, but questions about stored data mean the past
+  { pattern: word("(?:yesterday|कल|काल)(?![\\p{L}\\p{M}])"), resolve: (m, c) => calendarPeriod(c, "day", -1) },
+  { pattern: word("(?:today|आज)(?![\\p{L}\\p{M}])"), resolve: (m, c) => calendarPeriod(c, "day", 0) },
+];
+
+/**
+ * Finds the first relative time expression in a query and resolves it
+ * @param {string} text - User query (English, Hindi or Marathi)
+ * @param {Object} options - { now: Date, timeZone: IANA name }
+ * @returns {Object|null} { phrase, timeZone, start, end } - ISO strings, end exclusive
+ */
+export function resolveTimeRange(text, { now = new Date(), timeZone = "UTC" } = {}) {
+  if (!text) return null;
+
+  for (const rule of RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+
+    const clock = { now, timeZone, wall: wallClock(now, timeZone) };
+    const { start, end } = rule.resolve(match, clock);
+    // Stems like "आठवड" match part of a word; report the whole word
+    const rest = text.slice(match.index + match[0].length).match(/^[\p{L}\p{M}]*/u)[0];
+    return {
+      phrase: (match[0] + rest).trim(),
+      timeZone,
+      start: start.toISOString(),
+      end: end.toISOString(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * IANA timezone from the client, falling back to UTC when unknown
+ */
+export function normalizeTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch {
+    return "UTC";
+  }
+}
+
+/**
+ * One range boundary in the shapes different fields/dialects need
+ * @param {string} iso - UTC instant
+ * @param {string} timeZone - User timezone
+ * @returns {Object} { iso, date, wall, local } - e.g. local "2024-01-01T00:00:00+05:30"
+ */
+export function formatBoundary(iso, timeZone) {
+  const instant = new Date(iso);
+  const p = wallClock(instant, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+
+  const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  const time = `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+  const offsetMinutes = Math.round(zoneOffset(instant.getTime(), timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return { iso, date, wall: `${date} ${time}`, local: `${date}T${time}${offset}` };
+}
+
+/**
+ * Calendar day/week/month/year containing "now", moved by `offset` periods
+ */
+function calendarPeriod({ wall, timeZone }, unit, offset) {
+  let { year, month, day } = wall;
+
+  if (unit === "week") {
+    // Monday of the current week
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+    day -= weekday;
+    return {
+      start: zonedMidnight(year, month, day + 7 * offset, timeZone),
+      end: zonedMidnight(year, month, day + 7 * (offset + 1), timeZone),
+    };
+  }
+  if (unit === "month") {
+    return {
+      start: zonedMidnight(year, month + offset, 1, timeZone),
+      end: zonedMidnight(year, month + offset + 1, 1, timeZone),
+    };
+  }
+  if (unit === "year") {
+    return {
+      start: zonedMidnight(year + offset, 1, 1, timeZone),
+      end: zonedMidnight(year + offset + 1, 1, 1, timeZone),
+    };
+  }
+  return {
+    start: zonedMidnight(year, month, day + offset, timeZone),
+    end: zonedMidnight(year, month, day + offset + 1, timeZone),
+  };
+}
+
+/**
+ * Moves an instant by whole units (months/years by calendar, in UTC)
+ */
+function shift(date, unit, amount) {
+  const result = new Date(date);
+  if (unit === "hour") result.setUTCHours(result.getUTCHours() + amount);
+  else if (unit === "day") result.setUTCDate(result.getUTCDate() + amount);
+  else if (unit === "week") result.setUTCDate(result.getUTCDate() + 7 * amount);
+  else if (unit === "month") result.setUTCMonth(result.getUTCMonth() + amount);
+  else if (unit === "year") result.setUTCFullYear(result.getUTCFullYear() + amount);
+  return result;
+}
+
+/**
+ * Instant of local midnight; out-of-range month/day values roll over like Date.UTC
+ */
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - zoneOffset(guess, timeZone);
+  // Re-read the offset at the real instant in case a DST change lies between
+  return new Date(guess - zoneOffset(first, timeZone));
+}
+
+/**
+ * Milliseconds the timezone is ahead of UTC at an instant
+ */
+function zoneOffset(ms, timeZone) {
+  const p = wallClock(new Date(ms), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function wallClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
@@ -0,0 +1,69 @@
+// ============================================================================
+// lib/undostore.js - Local Undo Store for Destructive Operations
+// ============================================================================
+//
+// One JSON file per executed update/delete holding the pre-images (and, for
+// updates, post-images) of every affected document as canonical Extended
+// JSON. Entries are tied to a connection by its hashed key, never the URI.
+// An entry is saved as "pending" before the write and becomes "ready" once
+// the post-images are added; "failed" means the write threw part-way.
+//
+//   UNDO_DIR        Where entries live (default .dbagent/undo)
+//   UNDO_MAX_DOCS   Largest write that still gets an undo entry (default 1000)
+
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+export const UNDO_MAX_DOCS = parseInt(process.env.UNDO_MAX_DOCS, 10) || 1000;
+
+const UNDO_DIR = process.env.UNDO_DIR || path.join(process.cwd(), ".dbagent", "undo");
+const UNDO_ID = /^[a-f0-9-]{36}$/;
+
+/**
+ * Persists an undo entry
+ * @param {Object} entry - { connection, dbType, collection, action, status, preImages, postImages }
+ * @returns {Promise<Object>} The stored entry with id and createdAt
+ */
+export async function saveUndoEntry(entry) {
+  const stored = { id: randomUUID(), createdAt: new Date().toISOString(), undoneAt: null, ...entry };
+  await fs.mkdir(UNDO_DIR, { recursive: true });
+  await fs.writeFile(entryPath(stored.id), JSON.stringify(stored));
+  return stored;
+}
+
+/**
+ * Loads an entry, or null if it doesn't exist
+ */
+export async function getUndoEntry(id) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath(id), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Merges fields into a stored entry (e.g. undoneAt, lastAttempt)
+ */
+export async function updateUndoEntry(id, changes) {
+  const entry = await getUndoEntry(id);
+  if (!entry) return null;
+  const updated = { ...entry, ...changes };
+  await fs.writeFile(entryPath(id), JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * Whether an id has the shape of one we generated
+ */
+export function isUndoId(id) {
+  return typeof id === "string" && UNDO_ID.test(id);
+}
+
+function entryPath(id) {
+  // Ids are UUIDs we generated; anything else must not reach the filesystem
+  if (!isUndoId(id)) throw new Error("Invalid undo id");
+  return path.join(UNDO_DIR, `${id}.json`);
+}